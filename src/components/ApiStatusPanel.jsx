@@ -0,0 +1,49 @@
+import { useApiStatus } from '../hooks/useApiStatus'
+import { clearCache } from '../data/requestCache'
+
+// API Status Panel - Spoonacular points and offline/cache state for the sidebar
+function ApiStatusPanel() {
+  const status = useApiStatus()
+  const cachedCount = status.cachedResponses
+
+  const hasQuota = status.quotaUsed !== null || status.quotaLeft !== null
+  const dailyLimit = hasQuota ? (status.quotaUsed ?? 0) + (status.quotaLeft ?? 0) : 0
+  const usedPercent = dailyLimit > 0 ? Math.min(100, ((status.quotaUsed ?? 0) / dailyLimit) * 100) : 0
+
+  return (
+    <div className="api-status">
+      {status.offline && (
+        <p className="api-status-badge api-status-badge-offline">📴 Offline: showing cached recipes</p>
+      )}
+      {status.quotaExhausted && (
+        <p className="api-status-badge api-status-badge-quota">⚠️ Daily API quota used up</p>
+      )}
+
+      {hasQuota ? (
+        <>
+          <p className="api-status-label">
+            API points used today: <strong>{status.quotaUsed?.toFixed(1) ?? '?'}</strong>
+            {status.quotaLeft !== null && <> · {status.quotaLeft.toFixed(1)} left</>}
+          </p>
+          <div className="api-status-bar">
+            <div className="api-status-bar-fill" style={{ width: `${usedPercent}%` }} />
+          </div>
+          {status.quotaRequest !== null && (
+            <p className="api-status-hint">Last request cost {status.quotaRequest} points</p>
+          )}
+        </>
+      ) : (
+        <p className="api-status-label">API points: no requests yet</p>
+      )}
+
+      <div className="api-status-cache">
+        <span className="api-status-hint">{cachedCount} cached responses</span>
+        <button onClick={clearCache} className="api-status-clear" disabled={cachedCount === 0}>
+          Clear
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ApiStatusPanel
@@ -0,0 +1,15 @@
+import { downloadChartPng, downloadChartSvg } from '../utils/chartExport'
+
+// Chart Download Component - PNG/SVG buttons for the chart card they sit in
+function ChartDownload({ filename }) {
+  const card = (e) => e.currentTarget.closest('.chart-card')
+
+  return (
+    <div className="chart-download no-print">
+      <button type="button" onClick={(e) => downloadChartPng(card(e), filename)} title="Download as PNG">PNG</button>
+      <button type="button" onClick={(e) => downloadChartSvg(card(e), filename)} title="Download as SVG">SVG</button>
+    </div>
+  )
+}
+
+export default ChartDownload
@@ -0,0 +1,37 @@
+import { useCollections } from '../hooks/useCollections'
+import { addToCollection, createCollection } from '../data/collections'
+
+const NEW_COLLECTION = '__new__'
+
+// Collection Picker Component - adds a recipe to an existing or new collection
+function CollectionPicker({ recipe }) {
+  const { collections } = useCollections()
+
+  const handleChange = (e) => {
+    const value = e.target.value
+    if (!value) return
+
+    if (value === NEW_COLLECTION) {
+      const name = window.prompt('Name for the new collection (e.g. "Weeknight")')
+      if (name && name.trim()) {
+        addToCollection(createCollection(name).id, recipe)
+      }
+    } else {
+      addToCollection(value, recipe)
+    }
+  }
+
+  return (
+    <select value="" onChange={handleChange} className="filter-select collection-picker">
+      <option value="">📁 Add to collection...</option>
+      {collections.map(collection => (
+        <option key={collection.id} value={collection.id} disabled={collection.recipeIds.includes(recipe.id)}>
+          {collection.name}{collection.recipeIds.includes(recipe.id) ? ' ✓' : ''}
+        </option>
+      ))}
+      <option value={NEW_COLLECTION}>+ New collection</option>
+    </select>
+  )
+}
+
+export default CollectionPicker
@@ -0,0 +1,23 @@
+import { useCompare } from '../hooks/useCompare'
+import { toggleCompare, MAX_COMPARE } from '../data/compare'
+
+// Compare Checkbox Component - picks a table row for the comparison view
+function CompareCheckbox({ recipe }) {
+  const { recipes } = useCompare()
+  const checked = recipes.some(r => r.id === recipe.id)
+  const full = recipes.length >= MAX_COMPARE
+
+  return (
+    <input
+      type="checkbox"
+      checked={checked}
+      disabled={!checked && full}
+      onChange={() => toggleCompare(recipe)}
+      className="compare-checkbox"
+      title={!checked && full ? `You can compare up to ${MAX_COMPARE} recipes` : 'Compare'}
+      aria-label={`Compare ${recipe.title}`}
+    />
+  )
+}
+
+export default CompareCheckbox
@@ -0,0 +1,35 @@
+import { Link } from 'react-router-dom'
+import { useCompare } from '../hooks/useCompare'
+import { toggleCompare, clearCompare, MIN_COMPARE, MAX_COMPARE } from '../data/compare'
+
+// Compare Tray Component - floating bar listing the recipes picked for comparison
+function CompareTray() {
+  const { recipes } = useCompare()
+  if (recipes.length === 0) return null
+
+  const ready = recipes.length >= MIN_COMPARE
+
+  return (
+    <div className="compare-tray">
+      <span className="compare-tray-label">⚖️ Compare ({recipes.length}/{MAX_COMPARE})</span>
+      <div className="compare-tray-items">
+        {recipes.map(recipe => (
+          <span key={recipe.id} className="shopping-recipe-chip">
+            {recipe.title}
+            <button onClick={() => toggleCompare(recipe)} title="Remove from comparison">✕</button>
+          </span>
+        ))}
+      </div>
+      <button onClick={clearCompare} className="secondary-button">Clear</button>
+      {ready ? (
+        <Link to={`/compare?ids=${recipes.map(r => r.id).join(',')}`} className="primary-button compare-tray-link">
+          Compare now →
+        </Link>
+      ) : (
+        <span className="compare-tray-hint">Pick at least {MIN_COMPARE}</span>
+      )}
+    </div>
+  )
+}
+
+export default CompareTray
@@ -0,0 +1,112 @@
+import { useState } from 'react'
+import StarRating from './StarRating'
+import { useStore } from '../hooks/useStore'
+import { cookingLogStore, logCooked, deleteLogEntry, entriesForRecipe, recipeRatings, today } from '../data/cookingLog'
+
+const emptyDraft = () => ({ date: today(), rating: null, notes: '', modifications: '' })
+
+// Cooking Log Section Component - "mark as cooked" form and past cooks of one recipe
+function CookingLogSection({ recipe, startOpen = false }) {
+  const log = useStore(cookingLogStore)
+  const [open, setOpen] = useState(startOpen)
+  const [draft, setDraft] = useState(emptyDraft)
+  const entries = entriesForRecipe(log, recipe.id)
+  const rating = recipeRatings(log).get(recipe.id)
+
+  const update = (patch) => setDraft(prev => ({ ...prev, ...patch }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    logCooked(recipe, draft)
+    setDraft(emptyDraft())
+    setOpen(false)
+  }
+
+  const handleDelete = (entryId) => {
+    if (window.confirm('Delete this entry from your cooking log?')) deleteLogEntry(entryId)
+  }
+
+  return (
+    <div className="detail-info-card detail-section no-print">
+      <div className="cooking-log-header">
+        <h2 className="detail-info-title">
+          <span>📔</span> Cooking Log
+        </h2>
+        {!open && (
+          <button onClick={() => setOpen(true)} className="primary-button">✅ Mark as Cooked</button>
+        )}
+      </div>
+
+      {rating && (
+        <p className="chart-description">
+          Cooked {rating.count} {rating.count === 1 ? 'time' : 'times'}, last on {rating.lastCooked}
+          {rating.average !== null && <> · average <StarRating value={rating.average} /> {rating.average}</>}
+        </p>
+      )}
+
+      {open && (
+        <form onSubmit={handleSubmit} className="cooking-log-form">
+          <label className="cooking-log-field">
+            <span className="range-slider-label">Date</span>
+            <input
+              type="date"
+              value={draft.date}
+              max={today()}
+              onChange={(e) => update({ date: e.target.value })}
+              className="filter-select"
+              required
+            />
+          </label>
+          <div className="cooking-log-field">
+            <span className="range-slider-label">Your rating</span>
+            <StarRating value={draft.rating} onChange={(value) => update({ rating: value })} />
+          </div>
+          <label className="cooking-log-field cooking-log-field-wide">
+            <span className="range-slider-label">Notes</span>
+            <textarea
+              value={draft.notes}
+              onChange={(e) => update({ notes: e.target.value })}
+              placeholder="How did it turn out?"
+              rows={3}
+              className="search-input cooking-log-textarea"
+            />
+          </label>
+          <label className="cooking-log-field cooking-log-field-wide">
+            <span className="range-slider-label">Modifications</span>
+            <textarea
+              value={draft.modifications}
+              onChange={(e) => update({ modifications: e.target.value })}
+              placeholder="e.g. used half the sugar, added chili flakes"
+              rows={2}
+              className="search-input cooking-log-textarea"
+            />
+          </label>
+          <div className="cooking-log-actions">
+            <button type="submit" className="primary-button">Save to Log</button>
+            <button type="button" onClick={() => setOpen(false)} className="secondary-button">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {entries.length > 0 ? (
+        <ul className="cooking-log-list">
+          {entries.map(entry => (
+            <li key={entry.id} className="cooking-log-entry">
+              <div className="cooking-log-entry-header">
+                <strong>{entry.date}</strong>
+                {entry.rating ? <StarRating value={entry.rating} /> : <span className="table-footer-text">Not rated</span>}
+                <button onClick={() => handleDelete(entry.id)} className="cooking-log-delete" title="Delete entry">✕</button>
+              </div>
+              {entry.notes && <p className="cooking-log-text">{entry.notes}</p>}
+              {entry.modifications && <p className="cooking-log-text"><em>Changes:</em> {entry.modifications}</p>}
+            </li>
+          ))}
+        </ul>
+      ) : !open && (
+        <p className="detail-placeholder">You haven't logged cooking this recipe yet.</p>
+      )}
+    </div>
+  )
+}
+
+export default CookingLogSection
@@ -0,0 +1,37 @@
+import { Component } from 'react'
+import { Link } from 'react-router-dom'
+
+// Error Boundary Component - keeps a crashing page from blanking the whole app
+class ErrorBoundary extends Component {
+  state = { error: null }
+
+  static getDerivedStateFromError(error) {
+    return { error }
+  }
+
+  componentDidCatch(error, info) {
+    console.error('Render Error:', error, info.componentStack)
+  }
+
+  render() {
+    if (!this.state.error) return this.props.children
+
+    return (
+      <div className="not-found-container">
+        <div className="not-found-content">
+          <div className="not-found-icon">💥</div>
+          <p className="not-found-text">This page ran into a problem</p>
+          <p className="not-found-detail">{this.state.error.message}</p>
+          <div className="not-found-actions">
+            <button onClick={() => this.setState({ error: null })} className="not-found-button">
+              Try again
+            </button>
+            <Link to="/" className="not-found-button">Back to Dashboard</Link>
+          </div>
+        </div>
+      </div>
+    )
+  }
+}
+
+export default ErrorBoundary
@@ -0,0 +1,31 @@
+import { ERROR_KINDS } from '../data/errors'
+
+const FALLBACK_TEXT = {
+  cached: 'Showing recipes cached from earlier sessions.',
+  sample: 'Showing sample data instead.'
+}
+
+// Error Notice Component - typed error with a hint, what is shown instead, and a retry button
+function ErrorNotice({ error, dataMode, onRetry, retrying }) {
+  const kind = ERROR_KINDS[error.kind] || ERROR_KINDS.unknown
+
+  return (
+    <div className={`error-notice error-notice-${error.kind || 'unknown'}`} role="alert">
+      <span className="error-notice-icon">{kind.icon}</span>
+      <div className="error-notice-body">
+        <strong>{kind.title}</strong>
+        <p className="error-notice-text">
+          {error.message !== kind.title && `${error.message} `}{kind.hint}
+          {FALLBACK_TEXT[dataMode] && ` ${FALLBACK_TEXT[dataMode]}`}
+        </p>
+      </div>
+      {onRetry && (
+        <button onClick={onRetry} disabled={Boolean(retrying)} className="secondary-button">
+          {retrying || '↻ Retry'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default ErrorNotice
@@ -0,0 +1,26 @@
+import { useCollections } from '../hooks/useCollections'
+import { isFavorite, toggleFavorite } from '../data/collections'
+
+// Favorite Button Component - star toggle for a single recipe
+function FavoriteButton({ recipe, showLabel = false }) {
+  const state = useCollections()
+  const active = isFavorite(state, recipe.id)
+
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.preventDefault()
+        e.stopPropagation()
+        toggleFavorite(recipe)
+      }}
+      className={active ? 'favorite-button favorite-button-active' : 'favorite-button'}
+      title={active ? 'Remove from favorites' : 'Add to favorites'}
+      aria-pressed={active}
+    >
+      {active ? '★' : '☆'}{showLabel && (active ? ' Favorited' : ' Favorite')}
+    </button>
+  )
+}
+
+export default FavoriteButton
@@ -0,0 +1,129 @@
+import { useNavigate } from 'react-router-dom'
+import RangeSlider from './RangeSlider'
+import { useStore } from '../hooks/useStore'
+import {
+  DIET_FLAGS, PROPERTY_FLAGS, RANGE_FILTERS, sliderToRange, countActiveFilters,
+  filterPresetsStore, saveFilterPreset, deleteFilterPreset
+} from '../data/dashboardFilters'
+
+const EMPTY_FILTERS = { q: '', diets: [], flags: [], ranges: {} }
+
+const toggle = (list, value) => list.includes(value) ? list.filter(v => v !== value) : [...list, value]
+
+// Filter Panel Component - search, diet/property toggles, range sliders and presets
+function FilterPanel({ filters, onChange }) {
+  const navigate = useNavigate()
+  const { presets } = useStore(filterPresetsStore)
+  const activeCount = countActiveFilters(filters)
+
+  const update = (patch) => onChange({ ...filters, ...patch })
+
+  const handleSavePreset = () => {
+    const name = window.prompt('Name this filter preset')
+    if (name && name.trim()) saveFilterPreset(name, filters)
+  }
+
+  return (
+    <div className="filter-section">
+      <div className="filter-grid">
+        <div className="search-wrapper">
+          <span className="search-icon">🔍</span>
+          <input
+            type="text"
+            placeholder="Search titles, ingredients, cuisines..."
+            value={filters.q}
+            onChange={(e) => update({ q: e.target.value })}
+            className="search-input"
+          />
+        </div>
+
+        <div className="filter-presets">
+          <select
+            value=""
+            onChange={(e) => e.target.value && navigate({ search: e.target.value })}
+            className="filter-select"
+            disabled={presets.length === 0}
+          >
+            <option value="">{presets.length ? 'Apply a saved preset...' : 'No saved presets'}</option>
+            {presets.map(preset => (
+              <option key={preset.id} value={`?${preset.query}`}>{preset.name}</option>
+            ))}
+          </select>
+          <button type="button" onClick={handleSavePreset} disabled={activeCount === 0} className="secondary-button">
+            💾 Save
+          </button>
+        </div>
+      </div>
+
+      <div className="filter-toggles">
+        <span className="browse-intolerances-label">Diet:</span>
+        {DIET_FLAGS.map(flag => (
+          <label key={flag.key} className="checkbox-chip">
+            <input
+              type="checkbox"
+              checked={filters.diets.includes(flag.key)}
+              onChange={() => update({ diets: toggle(filters.diets, flag.key) })}
+            />
+            {flag.label}
+          </label>
+        ))}
+        <span className="browse-intolerances-label filter-toggles-divider">Properties:</span>
+        {PROPERTY_FLAGS.map(flag => (
+          <label key={flag.key} className="checkbox-chip">
+            <input
+              type="checkbox"
+              checked={filters.flags.includes(flag.key)}
+              onChange={() => update({ flags: toggle(filters.flags, flag.key) })}
+            />
+            {flag.label}
+          </label>
+        ))}
+      </div>
+
+      <div className="range-grid">
+        {RANGE_FILTERS.map(definition => {
+          const [low, high] = filters.ranges[definition.key] || [null, null]
+          return (
+            <RangeSlider
+              key={definition.key}
+              label={definition.label}
+              min={definition.min}
+              max={definition.max}
+              step={definition.step}
+              low={low ?? definition.min}
+              high={high ?? definition.max}
+              format={definition.format}
+              onChange={(nextLow, nextHigh) => {
+                const ranges = { ...filters.ranges, [definition.key]: sliderToRange(definition, nextLow, nextHigh) }
+                if (ranges[definition.key].every(v => v === null)) delete ranges[definition.key]
+                update({ ranges })
+              }}
+            />
+          )
+        })}
+      </div>
+
+      {(activeCount > 0 || presets.length > 0) && (
+        <div className="filter-footer">
+          <div className="filter-preset-chips">
+            {presets.map(preset => (
+              <span key={preset.id} className="shopping-recipe-chip">
+                <button type="button" onClick={() => navigate({ search: `?${preset.query}` })} className="filter-preset-apply">
+                  {preset.name}
+                </button>
+                <button type="button" onClick={() => deleteFilterPreset(preset.id)} title="Delete preset">✕</button>
+              </span>
+            ))}
+          </div>
+          {activeCount > 0 && (
+            <button type="button" onClick={() => onChange(EMPTY_FILTERS)} className="secondary-button">
+              Clear {activeCount} filter{activeCount === 1 ? '' : 's'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FilterPanel
@@ -0,0 +1,12 @@
+import { highlightSegments } from '../data/searchIndex'
+
+// Highlight Text Component - marks the words of `text` that matched a search
+function HighlightText({ text, terms = [] }) {
+  return highlightSegments(text, terms).map((segment, i) => (
+    segment.match
+      ? <mark key={i} className="search-highlight">{segment.text}</mark>
+      : segment.text
+  ))
+}
+
+export default HighlightText
@@ -0,0 +1,108 @@
+import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { macroChartData, nutrientChartData } from '../data/nutrition'
+import ChartDownload from './ChartDownload'
+
+const barColor = (percent) => percent > 50 ? '#ef4444' : percent > 20 ? '#f59e0b' : '#22c55e'
+
+// Nutrition Charts Component - macro split, %DV bars and the full nutrient list
+function NutritionCharts({ nutrition }) {
+  const macroData = macroChartData(nutrition)
+  const nutrientData = nutrientChartData(nutrition)
+
+  return (
+    <div className="detail-section">
+      <div className="charts-grid nutrition-charts no-print">
+        {macroData.length > 0 && (
+          <div className="chart-card">
+            <h3 className="chart-title">
+              <span>🥧</span> Calories by Macro
+            </h3>
+            <ChartDownload filename="calories-by-macro" />
+            <p className="chart-description">
+              Share of calories per serving from protein, fat and carbohydrates.
+            </p>
+            <ResponsiveContainer width="100%" height={300}>
+              <PieChart>
+                <Pie
+                  data={macroData}
+                  cx="50%"
+                  cy="50%"
+                  labelLine={false}
+                  label={({ name, value }) => `${name}: ${Math.round(value)}%`}
+                  outerRadius={100}
+                  dataKey="value"
+                  animationDuration={500}
+                >
+                  {macroData.map(entry => (
+                    <Cell key={entry.name} fill={entry.color} stroke="#fff" strokeWidth={2} />
+                  ))}
+                </Pie>
+                <Tooltip
+                  formatter={(value, name, { payload }) => [
+                    `${value}% of calories${payload.grams !== null ? ` (${payload.grams} g)` : ''}`,
+                    name
+                  ]}
+                  contentStyle={{ backgroundColor: 'white', border: '1px solid #ccc', borderRadius: '8px' }}
+                />
+                <Legend iconType="circle" wrapperStyle={{ paddingTop: '10px' }} />
+              </PieChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        {nutrientData.length > 0 && (
+          <div className="chart-card">
+            <h3 className="chart-title">
+              <span>📈</span> Daily Values
+            </h3>
+            <ChartDownload filename="daily-values" />
+            <p className="chart-description">
+              Percent of the daily value covered by one serving.
+            </p>
+            <ResponsiveContainer width="100%" height={Math.max(300, nutrientData.length * 28)}>
+              <BarChart data={nutrientData} layout="vertical" margin={{ top: 5, right: 20, left: 20, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis type="number" stroke="#374151" unit="%" />
+                <YAxis type="category" dataKey="name" stroke="#374151" width={110} />
+                <Tooltip
+                  formatter={(value, name, { payload }) => [`${value}% (${payload.amount})`, 'Daily value']}
+                  cursor={{ fill: 'rgba(253, 230, 138, 0.5)' }}
+                  contentStyle={{ backgroundColor: 'white', border: '1px solid #ccc', borderRadius: '8px' }}
+                />
+                <Bar dataKey="percent" name="% Daily Value" radius={[0, 4, 4, 0]}>
+                  {nutrientData.map(entry => (
+                    <Cell key={entry.name} fill={barColor(entry.percent)} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+
+      <details className="detail-info-card nutrient-details">
+        <summary className="nutrient-details-summary">All nutrients ({nutrition.nutrients.length})</summary>
+        <table className="nutrient-table">
+          <thead>
+            <tr>
+              <th>Nutrient</th>
+              <th>Amount</th>
+              <th>% Daily Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {nutrition.nutrients.map(nutrient => (
+              <tr key={nutrient.name}>
+                <td>{nutrient.name}</td>
+                <td>{nutrient.amount} {nutrient.unit}</td>
+                <td>{nutrient.percentOfDailyNeeds === null ? '—' : `${nutrient.percentOfDailyNeeds}%`}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+    </div>
+  )
+}
+
+export default NutritionCharts
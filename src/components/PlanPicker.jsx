@@ -0,0 +1,29 @@
+import { DAYS, MEAL_SLOTS, addToPlan } from '../data/mealPlan'
+
+// Plan Picker Component - adds a recipe to a day/meal slot of the meal plan
+function PlanPicker({ recipe, compact = false }) {
+  const handleChange = (e) => {
+    const [day, slot] = e.target.value.split(':')
+    if (day && slot) addToPlan(day, slot, recipe)
+  }
+
+  return (
+    <select
+      value=""
+      onChange={handleChange}
+      className={compact ? 'filter-select plan-picker plan-picker-compact' : 'filter-select plan-picker'}
+      title="Add to meal plan"
+    >
+      <option value="">{compact ? '📅' : '📅 Add to meal plan...'}</option>
+      {DAYS.map(day => (
+        <optgroup key={day} label={day}>
+          {MEAL_SLOTS.map(slot => (
+            <option key={slot.key} value={`${day}:${slot.key}`}>{day} · {slot.label}</option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  )
+}
+
+export default PlanPicker
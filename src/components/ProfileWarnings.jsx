@@ -0,0 +1,29 @@
+import { Link } from 'react-router-dom'
+import { useDietaryProfile } from '../hooks/useDietaryProfile'
+import { profileWarnings } from '../data/dietaryProfile'
+
+const ICONS = { diet: '🥗', intolerance: '⚠️', dislike: '🙅', calories: '🔥' }
+
+// Profile Warnings Component - what in a recipe conflicts with the dietary profile
+function ProfileWarnings({ recipe }) {
+  const profile = useDietaryProfile()
+  const warnings = profileWarnings(recipe, profile)
+
+  if (warnings.length === 0) return null
+
+  return (
+    <div className="profile-warnings" role="alert">
+      <strong>This recipe conflicts with your dietary profile</strong>
+      <ul className="profile-warning-list">
+        {warnings.map(warning => (
+          <li key={warning.message} className={`profile-warning profile-warning-${warning.kind}`}>
+            <span>{ICONS[warning.kind]}</span> {warning.message}
+          </li>
+        ))}
+      </ul>
+      <Link to="/profile" className="profile-warnings-link">Edit profile</Link>
+    </div>
+  )
+}
+
+export default ProfileWarnings
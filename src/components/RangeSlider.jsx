@@ -0,0 +1,41 @@
+// Range Slider Component - two overlaid range inputs sharing one track
+function RangeSlider({ label, min, max, step, low, high, format, onChange }) {
+  const percent = (value) => ((value - min) / (max - min)) * 100
+
+  return (
+    <div className="range-slider">
+      <div className="range-slider-header">
+        <span className="range-slider-label">{label}</span>
+        <span className="range-slider-value">
+          {format(low)} – {high >= max ? `${format(max)}+` : format(high)}
+        </span>
+      </div>
+      <div className="range-slider-track">
+        <div
+          className="range-slider-fill"
+          style={{ left: `${percent(low)}%`, width: `${percent(high) - percent(low)}%` }}
+        />
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={low}
+          onChange={(e) => onChange(Math.min(Number(e.target.value), high), high)}
+          aria-label={`${label} minimum`}
+        />
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={high}
+          onChange={(e) => onChange(low, Math.max(Number(e.target.value), low))}
+          aria-label={`${label} maximum`}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default RangeSlider
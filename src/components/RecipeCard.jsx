@@ -0,0 +1,26 @@
+import { Link } from 'react-router-dom'
+import RecipeImage from './RecipeImage'
+
+// Recipe Card Component - compact recipe summary linking to RecipeDetail
+function RecipeCard({ recipe }) {
+  return (
+    <Link to={`/recipe/${recipe.id}`} state={{ recipe }} className="recipe-card">
+      <RecipeImage src={recipe.image} alt={recipe.title} className="recipe-card-image" />
+      <div className="recipe-card-body">
+        <h3 className="recipe-card-title">{recipe.title}</h3>
+        <div className="recipe-card-meta">
+          <span>⏱️ {recipe.readyInMinutes} min</span>
+          <span>👥 {recipe.servings}</span>
+          <span>💚 {recipe.healthScore}</span>
+        </div>
+        <div className="diet-tags">
+          {recipe.vegetarian && <span className="diet-tag diet-tag-vegetarian">Vegetarian</span>}
+          {recipe.vegan && <span className="diet-tag diet-tag-vegan">Vegan</span>}
+          {recipe.glutenFree && <span className="diet-tag diet-tag-gluten-free">Gluten Free</span>}
+        </div>
+      </div>
+    </Link>
+  )
+}
+
+export default RecipeCard
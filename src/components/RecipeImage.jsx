@@ -0,0 +1,12 @@
+import { useStoredImage } from '../hooks/useStoredImage'
+import { CUSTOM_RECIPE_PLACEHOLDER } from '../data/customRecipes'
+
+// Recipe Image Component - <img> that also shows images stored in IndexedDB
+// (uploaded for custom recipes). A missing stored image, e.g. after restoring
+// a backup in another browser, shows the placeholder.
+function RecipeImage({ src, alt, className }) {
+  const url = useStoredImage(src)
+  return <img src={url === null ? CUSTOM_RECIPE_PLACEHOLDER : url || undefined} alt={alt} className={className} />
+}
+
+export default RecipeImage
@@ -0,0 +1,284 @@
+import { useState, useRef } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import FavoriteButton from './FavoriteButton'
+import PlanPicker from './PlanPicker'
+import CompareCheckbox from './CompareCheckbox'
+import HighlightText from './HighlightText'
+import StarRating from './StarRating'
+import RecipeImage from './RecipeImage'
+import { useStore } from '../hooks/useStore'
+import { SEARCH_FIELDS, matchedValue } from '../data/searchIndex'
+import { cookingLogStore, recipeRatings } from '../data/cookingLog'
+import { TABLE_COLUMNS, tableLayoutStore, visibleColumns, toggleColumn, resetColumns, setSort, sortRecipes } from '../data/tableColumns'
+
+const yesNo = (value) => (
+  <span className={value ? 'detail-info-value detail-info-value-green' : 'detail-info-value detail-info-value-red'}>
+    {value ? '✓' : '✗'}
+  </span>
+)
+
+// Where a search matched, when it was not (only) the title
+const matchNote = (recipe, match) => {
+  const field = SEARCH_FIELDS.find(f => f.key !== 'title' && match.fields.includes(f.key))
+  if (!field || match.fields.includes('title')) return null
+  const value = field.key === 'summary' ? null : matchedValue(recipe, field.key, match.terms)
+
+  return (
+    <span className="recipe-match-note">
+      {field.label}{value && <>: <HighlightText text={value} terms={match.terms} /></>}
+    </span>
+  )
+}
+
+// Cell content per column key; `match` is the search match for the row, if
+// any, and `ratings` the cooking log ratings by recipe id
+const CELLS = {
+  recipe: (recipe, { match }) => (
+    <Link to={`/recipe/${recipe.id}`} className="recipe-link" tabIndex={-1}>
+      <RecipeImage
+        src={recipe.image}
+        alt={recipe.title}
+        className="recipe-image"
+      />
+      <span className="recipe-name-group">
+        <span className="recipe-name">
+          {match ? <HighlightText text={recipe.title} terms={match.terms} /> : recipe.title}
+          {recipe.source === 'custom' && <span className="custom-recipe-badge">Mine</span>}
+        </span>
+        {match && matchNote(recipe, match)}
+      </span>
+    </Link>
+  ),
+  time: (recipe) => (
+    <div className="table-icon-text">
+      <span>⏱️</span>
+      <span>{recipe.readyInMinutes} min</span>
+    </div>
+  ),
+  servings: (recipe) => (
+    <div className="table-icon-text">
+      <span>👥</span>
+      <span>{recipe.servings}</span>
+    </div>
+  ),
+  health: (recipe) => (
+    <div className="health-bar-container">
+      <div className="health-bar-bg">
+        <div
+          className="health-bar-fill"
+          style={{
+            width: `${recipe.healthScore || 0}%`,
+            backgroundColor: recipe.healthScore > 75 ? '#10b981' : recipe.healthScore > 40 ? '#f59e0b' : '#ef4444'
+          }}
+        />
+      </div>
+      <span className="health-bar-text">{recipe.healthScore || 0}</span>
+    </div>
+  ),
+  diets: (recipe) => (
+    <div className="diet-tags">
+      {recipe.vegetarian && (
+        <span className="diet-tag diet-tag-vegetarian">
+          Vegetarian
+        </span>
+      )}
+      {recipe.vegan && (
+        <span className="diet-tag diet-tag-vegan">
+          Vegan
+        </span>
+      )}
+      {recipe.glutenFree && (
+        <span className="diet-tag diet-tag-gluten-free">
+          Gluten Free
+        </span>
+      )}
+    </div>
+  ),
+  price: (recipe) => (
+    <div className="table-icon-text">
+      <span>💰</span>
+      <span>${(recipe.pricePerServing / 100).toFixed(2)}</span>
+    </div>
+  ),
+  likes: (recipe) => (
+    <div className="table-icon-text">
+      <span>👍</span>
+      <span>{recipe.likes}</span>
+    </div>
+  ),
+  calories: (recipe) => (
+    <div className="table-icon-text">
+      <span>🔥</span>
+      <span>{recipe.calories === null ? '—' : `${Math.round(recipe.calories)} kcal`}</span>
+    </div>
+  ),
+  protein: (recipe) => (
+    <div className="table-icon-text">
+      <span>💪</span>
+      <span>{recipe.protein === null ? '—' : `${Math.round(recipe.protein)} g`}</span>
+    </div>
+  ),
+  popular: (recipe) => yesNo(recipe.veryPopular),
+  sustainable: (recipe) => yesNo(recipe.sustainable),
+  rating: (recipe, { ratings }) => {
+    const rating = ratings.get(recipe.id)
+    if (!rating) return <span className="table-footer-text">Not cooked</span>
+    return (
+      <div className="table-icon-text" title={`Cooked ${rating.count}×, last on ${rating.lastCooked}`}>
+        <StarRating value={rating.average} />
+        <span className="table-footer-text">×{rating.count}</span>
+      </div>
+    )
+  }
+}
+
+// Column Chooser Component - toggles optional table columns
+function ColumnChooser({ columnKeys }) {
+  return (
+    <details className="column-chooser">
+      <summary className="secondary-button">⚙️ Columns</summary>
+      <div className="column-chooser-menu">
+        {TABLE_COLUMNS.filter(column => !column.required).map(column => (
+          <label key={column.key} className="column-chooser-option">
+            <input
+              type="checkbox"
+              checked={columnKeys.includes(column.key)}
+              onChange={() => toggleColumn(column.key)}
+            />
+            {column.label}
+          </label>
+        ))}
+        <button type="button" onClick={resetColumns} className="column-chooser-reset">
+          Reset to default
+        </button>
+      </div>
+    </details>
+  )
+}
+
+// Recipe Table Component - sortable, configurable and keyboard navigable.
+// `searchMatches` (recipe id -> search match) highlights what a search matched.
+function RecipeTable({ recipes, searchMatches = null }) {
+  const navigate = useNavigate()
+  const layout = useStore(tableLayoutStore)
+  const ratings = recipeRatings(useStore(cookingLogStore))
+  const [activeIndex, setActiveIndex] = useState(0)
+  const rowRefs = useRef([])
+
+  const columns = visibleColumns(layout.columns)
+  const sorted = sortRecipes(recipes, layout.sort)
+
+  const focusRow = (index) => {
+    const next = Math.max(0, Math.min(sorted.length - 1, index))
+    setActiveIndex(next)
+    rowRefs.current[next]?.focus()
+  }
+
+  // Arrow keys move between rows; Enter opens the focused recipe
+  const handleKeyDown = (e) => {
+    if (e.target.tagName !== 'TR') return
+    const index = Number(e.target.dataset.index)
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault()
+        focusRow(index + 1)
+        break
+      case 'ArrowUp':
+        e.preventDefault()
+        focusRow(index - 1)
+        break
+      case 'Home':
+        e.preventDefault()
+        focusRow(0)
+        break
+      case 'End':
+        e.preventDefault()
+        focusRow(sorted.length - 1)
+        break
+      case 'Enter':
+        navigate(`/recipe/${sorted[index].id}`)
+        break
+      default:
+    }
+  }
+
+  const sortIndicator = (key) => {
+    const position = layout.sort.findIndex(s => s.key === key)
+    if (position === -1) return null
+    const arrow = layout.sort[position].direction === 'asc' ? '▲' : '▼'
+    return <span className="sort-indicator">{arrow}{layout.sort.length > 1 && <sup>{position + 1}</sup>}</span>
+  }
+
+  const ariaSort = (key) => {
+    const entry = layout.sort.find(s => s.key === key)
+    if (!entry) return 'none'
+    return entry.direction === 'asc' ? 'ascending' : 'descending'
+  }
+
+  return (
+    <>
+      <div className="table-toolbar">
+        <span className="table-footer-text">
+          Click a header to sort, Shift+click to add it to the sort. Use ↑/↓ and Enter to open a recipe.
+        </span>
+        <ColumnChooser columnKeys={layout.columns} />
+      </div>
+      <div className="table-scroll">
+        <table className="recipe-table">
+          <thead className="table-header">
+            <tr>
+              <th className="actions-column" aria-label="Actions" />
+              {columns.map(column => (
+                <th
+                  key={column.key}
+                  onClick={(e) => setSort(column.key, e.shiftKey)}
+                  className="sortable-header"
+                  aria-sort={ariaSort(column.key)}
+                >
+                  {column.label}
+                  {sortIndicator(column.key)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="table-body" onKeyDown={handleKeyDown}>
+            {sorted.length === 0 ? (
+              <tr>
+                <td colSpan={columns.length + 1} className="empty-state">
+                  No recipes found. Try adjusting your search or filters.
+                </td>
+              </tr>
+            ) : (
+              sorted.map((recipe, index) => (
+                <tr
+                  key={recipe.id}
+                  ref={(node) => { rowRefs.current[index] = node }}
+                  data-index={index}
+                  tabIndex={index === Math.min(activeIndex, sorted.length - 1) ? 0 : -1}
+                  onFocus={(e) => e.target === e.currentTarget && setActiveIndex(index)}
+                  className="table-row"
+                >
+                  <td className="table-cell actions-column">
+                    <div className="row-actions">
+                      <CompareCheckbox recipe={recipe} />
+                      <FavoriteButton recipe={recipe} />
+                      <PlanPicker recipe={recipe} compact />
+                    </div>
+                  </td>
+                  {columns.map(column => (
+                    <td key={column.key} className="table-cell">
+                      {CELLS[column.key](recipe, { match: searchMatches?.get(recipe.id), ratings })}
+                    </td>
+                  ))}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </>
+  )
+}
+
+export default RecipeTable
@@ -0,0 +1,46 @@
+import { useMemo } from 'react'
+import RecipeCard from './RecipeCard'
+import { useStore } from '../hooks/useStore'
+import { useCollections } from '../hooks/useCollections'
+import { viewHistoryStore, recommendRecipes, clearViewHistory } from '../data/similarity'
+
+// Recommended Recipes Component - picks from `recipes` based on viewed and favorited ones
+function RecommendedRecipes({ recipes }) {
+  const { viewed } = useStore(viewHistoryStore)
+  const { recipes: saved, favorites: favoriteIds } = useCollections()
+
+  const recommendations = useMemo(() => {
+    const favorites = favoriteIds.map(id => saved[id]).filter(Boolean)
+    return recommendRecipes(recipes, { viewed, favorites })
+  }, [recipes, viewed, saved, favoriteIds])
+
+  if (recommendations.length === 0) return null
+
+  return (
+    <div className="filter-section recommended-section">
+      <div className="recommended-header">
+        <h3 className="chart-title">
+          <span>✨</span> Recommended for You
+        </h3>
+        {viewed.length > 0 && (
+          <button onClick={clearViewHistory} className="secondary-button">Clear viewing history</button>
+        )}
+      </div>
+      <p className="chart-description">Based on the recipes you viewed and favorited.</p>
+      <div className="recipe-card-grid">
+        {recommendations.map(({ recipe, because }) => (
+          <div key={recipe.id} className="recommended-item">
+            <RecipeCard recipe={recipe} />
+            {because && (
+              <p className="recommended-because">
+                Because you {because.kind === 'favorite' ? 'favorited' : 'viewed'} {because.title}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default RecommendedRecipes
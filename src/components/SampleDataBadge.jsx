@@ -0,0 +1,10 @@
+// Sample Data Badge Component - marks every view while generated sample recipes are shown
+function SampleDataBadge() {
+  return (
+    <div className="sample-data-badge" title="These recipes are generated sample data, not live results.">
+      🧪 Sample data
+    </div>
+  )
+}
+
+export default SampleDataBadge
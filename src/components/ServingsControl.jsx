@@ -0,0 +1,25 @@
+// Servings Control Component - stepper for the number of servings to cook
+function ServingsControl({ value, onChange, min = 1, max = 99 }) {
+  const clamp = (next) => Math.min(max, Math.max(min, next))
+
+  return (
+    <div className="servings-control">
+      <button type="button" onClick={() => onChange(clamp(value - 1))} disabled={value <= min} aria-label="Fewer servings">
+        −
+      </button>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        value={value}
+        onChange={(e) => onChange(clamp(parseInt(e.target.value) || min))}
+        aria-label="Servings"
+      />
+      <button type="button" onClick={() => onChange(clamp(value + 1))} disabled={value >= max} aria-label="More servings">
+        +
+      </button>
+    </div>
+  )
+}
+
+export default ServingsControl
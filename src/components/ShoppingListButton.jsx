@@ -0,0 +1,20 @@
+import { useShoppingList } from '../hooks/useShoppingList'
+import { addRecipesToList, removeRecipeFromList } from '../data/shoppingList'
+
+// Shopping List Button Component - toggles a recipe on the shopping list
+function ShoppingListButton({ recipe }) {
+  const { recipeIds } = useShoppingList()
+  const onList = recipeIds.includes(recipe.id)
+
+  return (
+    <button
+      type="button"
+      onClick={() => onList ? removeRecipeFromList(recipe.id) : addRecipesToList([recipe])}
+      className={onList ? 'secondary-button secondary-button-active' : 'secondary-button'}
+    >
+      🛒 {onList ? 'On shopping list' : 'Add to shopping list'}
+    </button>
+  )
+}
+
+export default ShoppingListButton
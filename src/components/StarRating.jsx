@@ -0,0 +1,36 @@
+import { RATING_LABELS } from '../data/cookingLog'
+
+// Star Rating Component - 1-5 stars; read-only unless `onChange` is given
+function StarRating({ value, onChange }) {
+  if (!onChange) {
+    return (
+      <span className="star-rating" aria-label={value ? `${value} out of 5 stars` : 'Not rated'}>
+        {[1, 2, 3, 4, 5].map(star => (
+          <span key={star} className={star <= Math.round(value || 0) ? 'star star-filled' : 'star'}>★</span>
+        ))}
+      </span>
+    )
+  }
+
+  return (
+    <span className="star-rating" role="radiogroup" aria-label="Rating">
+      {[1, 2, 3, 4, 5].map(star => (
+        <button
+          key={star}
+          type="button"
+          role="radio"
+          aria-checked={value === star}
+          title={RATING_LABELS[star]}
+          // Clicking the current rating clears it
+          onClick={() => onChange(value === star ? null : star)}
+          className={star <= (value || 0) ? 'star star-button star-filled' : 'star star-button'}
+        >
+          ★
+        </button>
+      ))}
+      {value && <span className="star-rating-label">{RATING_LABELS[value]}</span>}
+    </span>
+  )
+}
+
+export default StarRating
@@ -0,0 +1,26 @@
+import { usePreferences } from '../hooks/usePreferences'
+import { setPreference } from '../data/preferences'
+import { UNIT_SYSTEMS } from '../data/units'
+
+// Unit Toggle Component - switches the saved measurement system
+function UnitToggle() {
+  const { units } = usePreferences()
+
+  return (
+    <div className="segmented-control" role="group" aria-label="Measurement units">
+      {UNIT_SYSTEMS.map(system => (
+        <button
+          key={system.value}
+          type="button"
+          onClick={() => setPreference('units', system.value)}
+          className={units === system.value ? 'segmented-option segmented-option-active' : 'segmented-option'}
+          aria-pressed={units === system.value}
+        >
+          {system.label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default UnitToggle
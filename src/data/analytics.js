@@ -0,0 +1,81 @@
+// Chart data for the Analytics page. Every bucket keeps the ids of the recipes
+// it counts so a clicked segment can drill down to exactly those recipes.
+
+const PRICE_BUCKETS = [
+  { name: '< $1', min: 0, max: 100 },
+  { name: '$1-2', min: 100, max: 200 },
+  { name: '$2-3', min: 200, max: 300 },
+  { name: '$3-5', min: 300, max: 500 },
+  { name: '$5+', min: 500, max: Infinity }
+]
+
+export const RECIPE_FLAGS = [
+  { key: 'cheap', label: 'Cheap' },
+  { key: 'veryHealthy', label: 'Very Healthy' },
+  { key: 'sustainable', label: 'Sustainable' },
+  { key: 'veryPopular', label: 'Very Popular' }
+]
+
+// pricePerServing is in cents
+export function priceHistogram(recipes) {
+  return PRICE_BUCKETS.map(({ name, min, max }) => {
+    const ids = recipes
+      .filter(r => r.pricePerServing >= min && r.pricePerServing < max)
+      .map(r => r.id)
+    return { name, count: ids.length, ids }
+  })
+}
+
+export function healthTimeScatter(recipes) {
+  return recipes.map(r => ({
+    id: r.id,
+    title: r.title,
+    readyInMinutes: r.readyInMinutes,
+    healthScore: r.healthScore,
+    ids: [r.id]
+  }))
+}
+
+// Recipes can list several cuisines; each one is counted
+export function cuisineBreakdown(recipes, limit = 10) {
+  const groups = new Map()
+
+  recipes.forEach(recipe => {
+    const cuisines = recipe.cuisines.length > 0 ? recipe.cuisines : ['Unspecified']
+    cuisines.forEach(cuisine => {
+      if (!groups.has(cuisine)) groups.set(cuisine, [])
+      groups.get(cuisine).push(recipe.id)
+    })
+  })
+
+  return [...groups.entries()]
+    .map(([name, ids]) => ({ name, count: ids.length, ids }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+}
+
+// Phi coefficient between two boolean flags: 1 means they always appear
+// together, -1 never together, 0 unrelated. null when either flag is constant.
+const phi = (recipes, a, b) => {
+  let n11 = 0, n10 = 0, n01 = 0, n00 = 0
+  recipes.forEach(r => {
+    if (r[a] && r[b]) n11++
+    else if (r[a]) n10++
+    else if (r[b]) n01++
+    else n00++
+  })
+  const denominator = Math.sqrt((n11 + n10) * (n01 + n00) * (n11 + n01) * (n10 + n00))
+  return denominator === 0 ? null : (n11 * n00 - n10 * n01) / denominator
+}
+
+export function flagCorrelations(recipes, flags = RECIPE_FLAGS) {
+  return flags.map(row => ({
+    ...row,
+    cells: flags.map(column => ({
+      key: column.key,
+      label: column.label,
+      phi: phi(recipes, row.key, column.key),
+      ids: recipes.filter(r => r[row.key] && r[column.key]).map(r => r.id)
+    }))
+  }))
+}
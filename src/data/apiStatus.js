@@ -0,0 +1,54 @@
+import { readJson, writeJson } from './storage'
+
+// Quota and connectivity status shared by the sources and the UI. Spoonacular
+// reports points in X-API-Quota-* response headers; we keep the last values
+// so the indicator survives a reload.
+
+const STATUS_KEY = 'api-status'
+
+let status = readJson(STATUS_KEY, {
+  quotaRequest: null,
+  quotaUsed: null,
+  quotaLeft: null,
+  quotaExhausted: false,
+  offline: false,
+  cachedResponses: 0,
+  updatedAt: null
+})
+const listeners = new Set()
+
+export function getApiStatus() {
+  return status
+}
+
+export function updateApiStatus(patch) {
+  status = { ...status, ...patch, updatedAt: Date.now() }
+  writeJson(STATUS_KEY, status)
+  listeners.forEach(listener => listener())
+}
+
+export function subscribeApiStatus(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+const headerNumber = (headers, name) => {
+  const value = headers.get(name)
+  return value === null || value === '' ? null : Number(value)
+}
+
+// Record the quota headers of a Spoonacular response
+export function recordQuotaHeaders(response) {
+  const quotaUsed = headerNumber(response.headers, 'X-API-Quota-Used')
+  const quotaLeft = headerNumber(response.headers, 'X-API-Quota-Left')
+  const quotaRequest = headerNumber(response.headers, 'X-API-Quota-Request')
+
+  if (quotaUsed === null && quotaLeft === null && response.status !== 402) return
+
+  updateApiStatus({
+    quotaUsed: quotaUsed ?? status.quotaUsed,
+    quotaLeft: quotaLeft ?? status.quotaLeft,
+    quotaRequest: quotaRequest ?? status.quotaRequest,
+    quotaExhausted: response.status === 402 || (quotaLeft !== null && quotaLeft <= 0)
+  })
+}
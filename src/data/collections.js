@@ -0,0 +1,148 @@
+import { createStore } from './createStore'
+import { normalizeRecipe } from './normalizeRecipe'
+
+// Favorites and named collections
+//
+// Recipes are stored as snapshots next to the id lists so saved recipes can be
+// shown (and shared) even when they are not among the loaded results.
+
+export const collectionsStore = createStore('collections', {
+  recipes: {},
+  favorites: [],
+  collections: []
+})
+
+const EXPORT_VERSION = 1
+
+const newId = () => `collection-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+
+// Snapshots for recipes no longer referenced anywhere are dropped
+const pruneRecipes = ({ recipes, favorites, collections }) => {
+  const used = new Set([...favorites, ...collections.flatMap(c => c.recipeIds)])
+  return Object.fromEntries(Object.entries(recipes).filter(([id]) => used.has(id)))
+}
+
+const update = (updater) => {
+  collectionsStore.setState(state => {
+    const next = { ...state, ...updater(state) }
+    return { ...next, recipes: pruneRecipes(next) }
+  })
+}
+
+export function isFavorite(state, recipeId) {
+  return state.favorites.includes(recipeId)
+}
+
+export function toggleFavorite(recipe) {
+  update(state => isFavorite(state, recipe.id)
+    ? { favorites: state.favorites.filter(id => id !== recipe.id) }
+    : { favorites: [...state.favorites, recipe.id], recipes: { ...state.recipes, [recipe.id]: recipe } }
+  )
+}
+
+export function createCollection(name) {
+  const collection = { id: newId(), name: name.trim(), recipeIds: [] }
+  update(state => ({ collections: [...state.collections, collection] }))
+  return collection
+}
+
+export function renameCollection(collectionId, name) {
+  update(state => ({
+    collections: state.collections.map(c => c.id === collectionId ? { ...c, name: name.trim() } : c)
+  }))
+}
+
+export function deleteCollection(collectionId) {
+  update(state => ({ collections: state.collections.filter(c => c.id !== collectionId) }))
+}
+
+export function addToCollection(collectionId, recipe) {
+  update(state => ({
+    recipes: { ...state.recipes, [recipe.id]: recipe },
+    collections: state.collections.map(c => c.id === collectionId && !c.recipeIds.includes(recipe.id)
+      ? { ...c, recipeIds: [...c.recipeIds, recipe.id] }
+      : c
+    )
+  }))
+}
+
+export function removeFromCollection(collectionId, recipeId) {
+  update(state => ({
+    collections: state.collections.map(c => c.id === collectionId
+      ? { ...c, recipeIds: c.recipeIds.filter(id => id !== recipeId) }
+      : c
+    )
+  }))
+}
+
+// Export the given collections (or everything, favorites included) as JSON
+export function exportCollections(collectionIds) {
+  const state = collectionsStore.getState()
+  const collections = collectionIds
+    ? state.collections.filter(c => collectionIds.includes(c.id))
+    : state.collections
+  const favorites = collectionIds ? [] : state.favorites
+  const ids = new Set([...favorites, ...collections.flatMap(c => c.recipeIds)])
+
+  return JSON.stringify({
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    favorites,
+    collections,
+    recipes: Object.values(state.recipes).filter(r => ids.has(r.id))
+  }, null, 2)
+}
+
+// An exported recipe in the normalized shape, or null when it is unusable.
+// Older or hand-edited exports may miss fields, so everything is normalized.
+function importRecipe(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null
+  if (!['string', 'number'].includes(typeof raw.id) || raw.id === '') return null
+  try {
+    return normalizeRecipe(raw, raw.source || 'unknown')
+  } catch {
+    return null
+  }
+}
+
+// Merge an export into the local data. Collections with the same name are
+// combined; returns how many collections were added or merged and how many
+// recipes were imported or skipped as invalid.
+export function importCollections(json) {
+  const data = JSON.parse(json)
+  if (!data || !Array.isArray(data.collections) || !Array.isArray(data.recipes)) {
+    throw new Error('Not a recipe collection export')
+  }
+
+  const valid = data.recipes.map(importRecipe).filter(Boolean)
+  const incomingRecipes = Object.fromEntries(valid.map(r => [r.id, r]))
+  const incomingCollections = data.collections.filter(c => c && typeof c === 'object' && Array.isArray(c.recipeIds ?? []))
+  let added = 0
+  let merged = 0
+
+  update(state => {
+    const collections = [...state.collections]
+    incomingCollections.forEach(incoming => {
+      const name = typeof incoming.name === 'string' && incoming.name.trim() ? incoming.name.trim() : 'Imported'
+      const recipeIds = (incoming.recipeIds || []).map(String).filter(id => incomingRecipes[id])
+      const index = collections.findIndex(c => c.name === name)
+      if (index >= 0) {
+        const existing = collections[index]
+        collections[index] = { ...existing, recipeIds: [...new Set([...existing.recipeIds, ...recipeIds])] }
+        merged++
+      } else {
+        collections.push({ id: newId(), name, recipeIds })
+        added++
+      }
+    })
+
+    const favorites = Array.isArray(data.favorites) ? data.favorites : []
+    return {
+      recipes: { ...incomingRecipes, ...state.recipes },
+      favorites: [...new Set([...state.favorites, ...favorites.map(String).filter(id => incomingRecipes[id])])],
+      collections
+    }
+  })
+
+  return { collections: added, merged, recipes: valid.length, skipped: data.recipes.length - valid.length }
+}
@@ -0,0 +1,74 @@
+import { createStore } from './createStore'
+
+// Recipes picked for side-by-side comparison (2 to 4)
+
+export const MAX_COMPARE = 4
+export const MIN_COMPARE = 2
+
+export const compareStore = createStore('compare', { recipes: [] })
+
+export function toggleCompare(recipe) {
+  compareStore.setState(state => {
+    if (state.recipes.some(r => r.id === recipe.id)) {
+      return { recipes: state.recipes.filter(r => r.id !== recipe.id) }
+    }
+    if (state.recipes.length >= MAX_COMPARE) return {}
+    return { recipes: [...state.recipes, recipe] }
+  })
+}
+
+export function clearCompare() {
+  compareStore.setState({ recipes: [] })
+}
+
+// Numeric rows; `best` says which end of the scale wins
+export const COMPARE_STATS = [
+  { key: 'readyInMinutes', label: 'Cooking Time', format: v => `${v} min`, best: 'min' },
+  { key: 'servings', label: 'Servings', format: v => `${v}`, best: 'max' },
+  { key: 'healthScore', label: 'Health Score', format: v => `${v}/100`, best: 'max' },
+  { key: 'pricePerServing', label: 'Price per Serving', format: v => `$${(v / 100).toFixed(2)}`, best: 'min' },
+  { key: 'likes', label: 'Likes', format: v => `${v}`, best: 'max' }
+]
+
+// Yes/no rows, matching RecipeDetail's info cards and diet tags
+export const COMPARE_FLAGS = [
+  { key: 'veryHealthy', label: 'Very Healthy' },
+  { key: 'veryPopular', label: 'Very Popular' },
+  { key: 'cheap', label: 'Cheap to Make' },
+  { key: 'dairyFree', label: 'Dairy Free' },
+  { key: 'sustainable', label: 'Sustainable' },
+  { key: 'vegetarian', label: 'Vegetarian' },
+  { key: 'vegan', label: 'Vegan' },
+  { key: 'glutenFree', label: 'Gluten Free' }
+]
+
+// The winning value of each stat, only when the recipes actually differ
+export function bestValues(recipes) {
+  return Object.fromEntries(COMPARE_STATS.map(({ key, best }) => {
+    const values = recipes.map(r => r[key])
+    const winner = best === 'min' ? Math.min(...values) : Math.max(...values)
+    return [key, new Set(values).size > 1 ? winner : null]
+  }))
+}
+
+const clampScore = (value) => Math.round(Math.max(0, Math.min(100, value)))
+
+// Radar axes scaled 0-100 where higher is always better
+export function radarData(recipes) {
+  const maxLikes = Math.max(1, ...recipes.map(r => r.likes))
+  const maxServings = Math.max(1, ...recipes.map(r => r.servings))
+
+  const axes = [
+    { metric: 'Health', value: r => r.healthScore },
+    { metric: 'Speed', value: r => 100 - (Math.min(r.readyInMinutes, 180) / 180) * 100 },
+    { metric: 'Affordability', value: r => 100 - (Math.min(r.pricePerServing, 1000) / 1000) * 100 },
+    { metric: 'Popularity', value: r => (r.likes / maxLikes) * 100 },
+    { metric: 'Servings', value: r => (r.servings / maxServings) * 100 },
+    { metric: 'Properties', value: r => (COMPARE_FLAGS.filter(f => r[f.key]).length / COMPARE_FLAGS.length) * 100 }
+  ]
+
+  return axes.map(({ metric, value }) => ({
+    metric,
+    ...Object.fromEntries(recipes.map(r => [r.id, clampScore(value(r))]))
+  }))
+}
@@ -0,0 +1,120 @@
+import { createStore } from './createStore'
+import { toCsv } from '../utils/csv'
+
+// Cooking log: one entry each time a recipe was cooked, with a personal
+// 1-5 rating and notes. Recipe snapshots are kept alongside (as in
+// collections) so the history still shows recipes that are no longer loaded.
+
+export const RATING_LABELS = ['', 'Not again', 'Meh', 'Good', 'Great', 'Favorite']
+
+export const cookingLogStore = createStore('cooking-log', {
+  entries: [],
+  recipes: {}
+})
+
+const newId = () => `cooked-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+
+// Local date as YYYY-MM-DD, the format of <input type="date">
+export const today = () => {
+  const now = new Date()
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10)
+}
+
+const pruneRecipes = (entries, recipes) => {
+  const used = new Set(entries.map(entry => entry.recipeId))
+  return Object.fromEntries(Object.entries(recipes).filter(([id]) => used.has(id)))
+}
+
+// `rating` is 1-5 or null; notes and modifications are free text
+export function logCooked(recipe, { date = today(), rating = null, notes = '', modifications = '' } = {}) {
+  const entry = {
+    id: newId(),
+    recipeId: recipe.id,
+    date,
+    rating,
+    notes: notes.trim(),
+    modifications: modifications.trim(),
+    loggedAt: Date.now()
+  }
+  cookingLogStore.setState(state => ({
+    entries: [...state.entries, entry],
+    recipes: { ...state.recipes, [recipe.id]: recipe }
+  }))
+  return entry
+}
+
+export function updateLogEntry(entryId, patch) {
+  cookingLogStore.setState(state => ({
+    entries: state.entries.map(entry => entry.id === entryId ? { ...entry, ...patch } : entry)
+  }))
+}
+
+export function deleteLogEntry(entryId) {
+  cookingLogStore.setState(state => {
+    const entries = state.entries.filter(entry => entry.id !== entryId)
+    return { entries, recipes: pruneRecipes(entries, state.recipes) }
+  })
+}
+
+// Newest first; same-day entries in the order they were logged
+export function sortedEntries(entries) {
+  return [...entries].sort((a, b) => b.date.localeCompare(a.date) || b.loggedAt - a.loggedAt)
+}
+
+export function entriesForRecipe(state, recipeId) {
+  return sortedEntries(state.entries.filter(entry => entry.recipeId === recipeId))
+}
+
+// Recipe id -> { average, count, ratedCount, lastCooked }, for the state it
+// was last asked about (table sorting calls this once per comparison)
+let ratingsCache = { state: null, ratings: new Map() }
+
+export function recipeRatings(state = cookingLogStore.getState()) {
+  if (ratingsCache.state === state) return ratingsCache.ratings
+
+  const ratings = new Map()
+  state.entries.forEach(entry => {
+    const current = ratings.get(entry.recipeId) || { total: 0, count: 0, ratedCount: 0, lastCooked: '' }
+    current.count++
+    if (entry.rating) {
+      current.total += entry.rating
+      current.ratedCount++
+    }
+    if (entry.date > current.lastCooked) current.lastCooked = entry.date
+    ratings.set(entry.recipeId, current)
+  })
+  ratings.forEach((value, id) => {
+    ratings.set(id, {
+      average: value.ratedCount ? Math.round((value.total / value.ratedCount) * 10) / 10 : null,
+      count: value.count,
+      ratedCount: value.ratedCount,
+      lastCooked: value.lastCooked
+    })
+  })
+
+  ratingsCache = { state, ratings }
+  return ratings
+}
+
+// How many rated recipes average out at each star (rounded), for the
+// Dashboard chart
+export function ratingDistribution(state) {
+  const counts = [1, 2, 3, 4, 5].map(stars => ({ name: `${'★'.repeat(stars)}`, stars, count: 0 }))
+  recipeRatings(state).forEach(({ average }) => {
+    if (average !== null) counts[Math.round(average) - 1].count++
+  })
+  return counts
+}
+
+export function cookingLogToCsv(state) {
+  return toCsv([
+    ['Date', 'Recipe', 'Rating', 'Notes', 'Modifications'],
+    ...sortedEntries(state.entries).map(entry => [
+      entry.date,
+      state.recipes[entry.recipeId]?.title || entry.recipeId,
+      entry.rating ?? '',
+      entry.notes,
+      entry.modifications
+    ])
+  ])
+}
@@ -0,0 +1,61 @@
+// Timers for cooking mode, detected from the wording of each step
+//
+// "simmer for 20 minutes", "bake 1 hour 15 mins", "rest 10-15 minutes" and
+// "boil for 30 seconds" each become a timer. Ranges use their lower bound, so
+// the alarm goes off when it's time to start checking.
+
+const UNIT_SECONDS = {
+  second: 1, seconds: 1, sec: 1, secs: 1,
+  minute: 60, minutes: 60, min: 60, mins: 60,
+  hour: 3600, hours: 3600, hr: 3600, hrs: 3600
+}
+
+const FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3 }
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45, sixty: 60
+}
+
+const NUMBER = `(\\d+(?:\\.\\d+)?\\s*[½¼¾⅓⅔]?|[½¼¾⅓⅔]|${Object.keys(WORD_NUMBERS).sort((a, b) => b.length - a.length).join('|')})`
+const UNIT = `(${Object.keys(UNIT_SECONDS).sort((a, b) => b.length - a.length).join('|')})\\b`
+// "20 minutes", "10-15 mins", "10 to 15 minutes", "1 hour (and) 30 minutes"
+const DURATION = new RegExp(
+  `\\b${NUMBER}(?:\\s*(?:-|–|to)\\s*${NUMBER})?\\s*${UNIT}(?:\\s*(?:and\\s*)?${NUMBER}\\s*${UNIT})?`,
+  'gi'
+)
+
+const toNumber = (text) => {
+  const clean = text.trim().toLowerCase()
+  if (clean in WORD_NUMBERS) return WORD_NUMBERS[clean]
+  const fraction = Object.keys(FRACTIONS).find(f => clean.endsWith(f))
+  const whole = parseFloat(clean) || 0
+  return fraction ? whole + FRACTIONS[fraction] : whole
+}
+
+// [{ label, seconds }] for every duration mentioned in `text`
+export function detectTimers(text) {
+  const timers = []
+  for (const match of String(text).matchAll(DURATION)) {
+    const [label, low, , unit, extraAmount, extraUnit] = match
+    let seconds = toNumber(low) * UNIT_SECONDS[unit.toLowerCase()]
+    if (extraAmount && extraUnit) seconds += toNumber(extraAmount) * UNIT_SECONDS[extraUnit.toLowerCase()]
+    if (seconds > 0) timers.push({ label: label.trim(), seconds: Math.round(seconds) })
+  }
+  return timers
+}
+
+// Timers for a normalized step: detected ones, or the step's `minutes`
+export function stepTimers(step) {
+  const detected = detectTimers(step.text)
+  if (detected.length > 0 || !step.minutes) return detected
+  return [{ label: `${step.minutes} minutes`, seconds: step.minutes * 60 }]
+}
+
+// 75 -> "1:15", 3725 -> "1:02:05"
+export function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.ceil(totalSeconds))
+  const h = Math.floor(seconds / 3600)
+  const m = Math.floor((seconds % 3600) / 60)
+  const s = String(seconds % 60).padStart(2, '0')
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`
+}
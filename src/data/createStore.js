@@ -0,0 +1,39 @@
+import { readJson, writeJson, STORAGE_PREFIX } from './storage'
+
+// A tiny persisted store: state lives in localStorage under `key`, updates
+// notify subscribers (see useStore) and other tabs stay in sync through the
+// storage event.
+export function createStore(key, initialState) {
+  let state = { ...initialState, ...readJson(key, {}) }
+  const listeners = new Set()
+
+  const notify = () => listeners.forEach(listener => listener())
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_PREFIX + key) return
+      state = { ...initialState, ...readJson(key, {}) }
+      notify()
+    })
+  }
+
+  return {
+    getState: () => state,
+
+    // Accepts a partial state or an updater (state => partial state).
+    // Returns false when the new state could not be persisted (storage full);
+    // it still applies for the rest of the session.
+    setState(update) {
+      const patch = typeof update === 'function' ? update(state) : update
+      state = { ...state, ...patch }
+      const saved = writeJson(key, state)
+      notify()
+      return saved
+    },
+
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    }
+  }
+}
@@ -0,0 +1,244 @@
+import { createStore } from './createStore'
+import { normalizeRecipe } from './normalizeRecipe'
+import { parseIngredientLine } from './units'
+
+// Recipes written by the user, stored locally in the normalized shape with
+// source 'custom'. App lists them ahead of the fetched recipes, so they show
+// up in the Dashboard, charts and RecipeDetail like any other recipe.
+//
+// The editor works on a flat form (one ingredient/step per line, price in
+// dollars); formToRecipe and recipeToForm convert between the two.
+
+export const customRecipesStore = createStore('custom-recipes', { recipes: [] })
+
+const newId = () => `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+
+export const isCustomRecipe = (recipe) => recipe?.source === 'custom'
+
+// Wraps a recipe source so custom recipe ids are looked up here: no source
+// knows them, and a deleted one may still be linked from collections, the meal
+// plan or the cooking history
+export function withCustomRecipes(source) {
+  return {
+    ...source,
+    async getRecipe(id) {
+      if (String(id).startsWith('custom-')) return customRecipesStore.getState().recipes.find(r => r.id === id) || null
+      return source.getRecipe(id)
+    }
+  }
+}
+
+// Shown for recipes saved without an image
+export const CUSTOM_RECIPE_PLACEHOLDER = '/placeholders/main-course.svg'
+
+export const EMPTY_RECIPE_FORM = {
+  id: null,
+  title: '',
+  image: '',
+  summary: '',
+  readyInMinutes: '',
+  servings: '4',
+  price: '',
+  cuisines: '',
+  dishTypes: '',
+  ingredients: '',
+  steps: '',
+  vegetarian: false,
+  vegan: false,
+  glutenFree: false,
+  dairyFree: false,
+  calories: '',
+  protein: '',
+  sourceName: '',
+  sourceUrl: ''
+}
+
+const lines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean)
+const number = (value) => value === '' || value === null ? null : Number(value)
+
+// Problems that keep the form from being saved, by field
+export function validateRecipeForm(form) {
+  const errors = {}
+  if (!form.title.trim()) errors.title = 'Give the recipe a title.'
+  if (lines(form.ingredients).length === 0) errors.ingredients = 'Add at least one ingredient.'
+  if (!(Number(form.servings) > 0)) errors.servings = 'Servings must be at least 1.'
+  ;['readyInMinutes', 'price', 'calories', 'protein'].forEach(field => {
+    if (form[field] !== '' && !(Number(form[field]) >= 0)) errors[field] = 'Enter a positive number.'
+  })
+  return errors
+}
+
+export function formToRecipe(form) {
+  const nutrition = {}
+  if (number(form.calories) !== null) nutrition.calories = number(form.calories)
+  if (number(form.protein) !== null) nutrition.protein = number(form.protein)
+
+  return normalizeRecipe({
+    id: form.id || newId(),
+    title: form.title.trim(),
+    image: form.image || CUSTOM_RECIPE_PLACEHOLDER,
+    summary: form.summary.trim(),
+    readyInMinutes: number(form.readyInMinutes) ?? 0,
+    servings: number(form.servings) || 1,
+    pricePerServing: Math.round((number(form.price) ?? 0) * 100),
+    cuisines: form.cuisines,
+    dishTypes: form.dishTypes,
+    vegetarian: form.vegetarian || form.vegan,
+    vegan: form.vegan,
+    glutenFree: form.glutenFree,
+    dairyFree: form.dairyFree || form.vegan,
+    extendedIngredients: lines(form.ingredients).map((line, i) => ({ id: `ingredient-${i}`, ...parseIngredientLine(line) })),
+    steps: lines(form.steps),
+    nutrition: Object.keys(nutrition).length ? nutrition : null,
+    sourceName: form.sourceName.trim(),
+    sourceUrl: form.sourceUrl.trim()
+  }, 'custom')
+}
+
+export function recipeToForm(recipe) {
+  return {
+    ...EMPTY_RECIPE_FORM,
+    id: isCustomRecipe(recipe) ? recipe.id : null,
+    title: recipe.title,
+    image: recipe.image === CUSTOM_RECIPE_PLACEHOLDER ? '' : recipe.image,
+    summary: recipe.summary,
+    readyInMinutes: recipe.readyInMinutes ? String(recipe.readyInMinutes) : '',
+    servings: String(recipe.servings || 1),
+    price: recipe.pricePerServing ? (recipe.pricePerServing / 100).toFixed(2) : '',
+    cuisines: recipe.cuisines.join(', '),
+    dishTypes: recipe.dishTypes.join(', '),
+    ingredients: recipe.ingredients.map(i => i.original || i.name).join('\n'),
+    steps: recipe.steps.map(step => step.text).join('\n'),
+    vegetarian: recipe.vegetarian,
+    vegan: recipe.vegan,
+    glutenFree: recipe.glutenFree,
+    dairyFree: recipe.dairyFree,
+    calories: recipe.calories === null ? '' : String(Math.round(recipe.calories)),
+    protein: recipe.protein === null ? '' : String(Math.round(recipe.protein)),
+    sourceName: recipe.sourceName,
+    sourceUrl: recipe.sourceUrl
+  }
+}
+
+// Adds the recipe, or replaces the one with the same id. Throws when browser
+// storage is full, leaving the saved recipes as they were.
+export function saveCustomRecipe(recipe) {
+  const previous = customRecipesStore.getState().recipes
+  const replaced = previous.some(r => r.id === recipe.id)
+  const saved = customRecipesStore.setState({
+    recipes: replaced ? previous.map(r => r.id === recipe.id ? recipe : r) : [recipe, ...previous]
+  })
+  if (!saved) {
+    customRecipesStore.setState({ recipes: previous })
+    throw new Error(`"${recipe.title}" could not be saved because this browser's storage is full.`)
+  }
+}
+
+// Its image stays stored while snapshots elsewhere still show it (see
+// collectUnusedImages)
+export function deleteCustomRecipe(recipeId) {
+  customRecipesStore.setState(state => ({ recipes: state.recipes.filter(r => r.id !== recipeId) }))
+}
+
+// schema.org Recipe JSON-LD
+//
+// Accepts the JSON itself or a whole HTML page with <script
+// type="application/ld+json"> blocks. Recipes may be top level, in an array
+// or in an @graph.
+
+const SCHEMA_DIETS = {
+  VeganDiet: ['vegan', 'vegetarian', 'dairyFree'],
+  VegetarianDiet: ['vegetarian'],
+  GlutenFreeDiet: ['glutenFree'],
+  LowLactoseDiet: ['dairyFree']
+}
+
+// ISO 8601 durations ("PT1H30M") in minutes
+export function isoDurationMinutes(value) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i.exec(String(value || '').trim())
+  if (!match) return null
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match
+  return Math.round(days * 1440 + hours * 60 + Number(minutes) + seconds / 60)
+}
+
+const textOf = (value) => {
+  if (!value) return ''
+  if (Array.isArray(value)) return textOf(value[0])
+  if (typeof value === 'object') return value.name || value.text || value.url || ''
+  return String(value)
+}
+
+const imageOf = (value) => {
+  if (Array.isArray(value)) return imageOf(value[0])
+  if (value && typeof value === 'object') return value.url || value.contentUrl || ''
+  return value || ''
+}
+
+const listOf = (value) => (Array.isArray(value) ? value : value ? [value] : []).map(textOf).filter(Boolean)
+
+// HowToStep / HowToSection / plain strings -> step texts
+const instructionTexts = (value) => {
+  if (!value) return []
+  if (typeof value === 'string') return value.split(/\n+/).map(s => s.trim()).filter(Boolean)
+  if (Array.isArray(value)) return value.flatMap(instructionTexts)
+  if (value.itemListElement) return instructionTexts(value.itemListElement)
+  return [value.text || value.name].filter(Boolean)
+}
+
+const isRecipeNode = (node) => {
+  const type = node?.['@type']
+  return Array.isArray(type) ? type.includes('Recipe') : type === 'Recipe'
+}
+
+const findRecipeNodes = (data) => {
+  if (Array.isArray(data)) return data.flatMap(findRecipeNodes)
+  if (!data || typeof data !== 'object') return []
+  if (isRecipeNode(data)) return [data]
+  return data['@graph'] ? findRecipeNodes(data['@graph']) : []
+}
+
+function jsonLdToRecipe(node) {
+  const flags = Object.fromEntries(
+    listOf(node.suitableForDiet)
+      .flatMap(diet => SCHEMA_DIETS[diet.split('/').pop()] || [])
+      .map(flag => [flag, true])
+  )
+  const total = isoDurationMinutes(node.totalTime) ??
+    ((isoDurationMinutes(node.prepTime) ?? 0) + (isoDurationMinutes(node.cookTime) ?? 0))
+
+  return normalizeRecipe({
+    id: newId(),
+    title: textOf(node.name),
+    image: imageOf(node.image) || CUSTOM_RECIPE_PLACEHOLDER,
+    summary: textOf(node.description),
+    readyInMinutes: total,
+    servings: parseInt(textOf(node.recipeYield), 10) || 1,
+    cuisines: listOf(node.recipeCuisine),
+    dishTypes: listOf(node.recipeCategory).map(c => c.toLowerCase()),
+    ...flags,
+    extendedIngredients: listOf(node.recipeIngredient || node.ingredients).map((line, i) => ({ id: `ingredient-${i}`, ...parseIngredientLine(line) })),
+    steps: instructionTexts(node.recipeInstructions),
+    // NutritionInformation keys (calories, proteinContent, ...) are understood by normalizeNutrition
+    nutrition: node.nutrition || null,
+    sourceName: textOf(node.author),
+    sourceUrl: textOf(node.url)
+  }, 'custom')
+}
+
+// Recipes found in `text`; throws when it holds no usable JSON-LD Recipe
+export function parseJsonLdRecipes(text) {
+  const blocks = /<script/i.test(text)
+    ? [...text.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)].map(m => m[1])
+    : [text]
+
+  const nodes = blocks.flatMap(block => {
+    try {
+      return findRecipeNodes(JSON.parse(block))
+    } catch {
+      return []
+    }
+  })
+
+  if (nodes.length === 0) throw new Error('No schema.org Recipe found in the JSON-LD.')
+  return nodes.map(jsonLdToRecipe)
+}
@@ -0,0 +1,126 @@
+import { createStore } from './createStore'
+import { createSearchIndex } from './searchIndex'
+
+// Dashboard filters
+//
+// The filter state is kept in the URL query string:
+//   q=pasta              fuzzy full-text search (see searchIndex.js)
+//   diet=vegan,dairyFree diet flags, all of which must match
+//   flag=cheap           property flags, all of which must match
+//   time=10-60           ranges as "min-max"; an open end is left empty ("-60")
+
+export const DIET_FLAGS = [
+  { key: 'vegetarian', label: 'Vegetarian' },
+  { key: 'vegan', label: 'Vegan' },
+  { key: 'glutenFree', label: 'Gluten Free' },
+  { key: 'dairyFree', label: 'Dairy Free' }
+]
+
+export const PROPERTY_FLAGS = [
+  { key: 'cheap', label: '💸 Cheap' },
+  { key: 'veryPopular', label: '🔥 Very Popular' },
+  { key: 'sustainable', label: '🌍 Sustainable' }
+]
+
+// Slider bounds; a handle at the top of the slider means "no upper limit".
+// Recipes without nutrition data never match a calories/protein range.
+export const RANGE_FILTERS = [
+  { key: 'time', field: 'readyInMinutes', label: 'Cooking time', min: 0, max: 180, step: 5, format: v => `${v} min` },
+  { key: 'health', field: 'healthScore', label: 'Health score', min: 0, max: 100, step: 5, format: v => `${v}` },
+  { key: 'servings', field: 'servings', label: 'Servings', min: 1, max: 12, step: 1, format: v => `${v}` },
+  { key: 'price', field: 'pricePerServing', label: 'Price per serving', min: 0, max: 1000, step: 25, format: v => `$${(v / 100).toFixed(2)}` },
+  { key: 'calories', field: 'calories', label: 'Calories per serving', min: 0, max: 1500, step: 50, format: v => `${v} kcal` },
+  { key: 'protein', field: 'protein', label: 'Protein per serving', min: 0, max: 80, step: 5, format: v => `${v} g` }
+]
+
+const readList = (value) => value ? value.split(',').filter(Boolean) : []
+
+const readRange = (value) => {
+  if (!value || !value.includes('-')) return null
+  const [low, high] = value.split('-').map(v => v === '' ? null : Number(v))
+  return [Number.isFinite(low) ? low : null, Number.isFinite(high) ? high : null]
+}
+
+export function parseFilters(searchParams) {
+  const ranges = {}
+  RANGE_FILTERS.forEach(({ key }) => {
+    const range = readRange(searchParams.get(key))
+    if (range) ranges[key] = range
+  })
+
+  return {
+    q: searchParams.get('q') || '',
+    diets: readList(searchParams.get('diet')).filter(d => DIET_FLAGS.some(f => f.key === d)),
+    flags: readList(searchParams.get('flag')).filter(f => PROPERTY_FLAGS.some(p => p.key === f)),
+    ranges
+  }
+}
+
+export function filtersToParams(filters) {
+  const params = new URLSearchParams()
+  if (filters.q) params.set('q', filters.q)
+  if (filters.diets.length) params.set('diet', filters.diets.join(','))
+  if (filters.flags.length) params.set('flag', filters.flags.join(','))
+  RANGE_FILTERS.forEach(({ key }) => {
+    const range = filters.ranges[key]
+    if (range && (range[0] !== null || range[1] !== null)) {
+      params.set(key, `${range[0] ?? ''}-${range[1] ?? ''}`)
+    }
+  })
+  return params
+}
+
+// Normalize a slider position into the stored range: handles at the slider
+// ends become open bounds
+export function sliderToRange(definition, low, high) {
+  return [
+    low <= definition.min ? null : low,
+    high >= definition.max ? null : high
+  ]
+}
+
+// Pass the `index` built over `recipes` to reuse it; with a search query the
+// results come back best match first
+export function applyFilters(recipes, filters, index = null) {
+  let results = recipes
+
+  if (filters.q) {
+    results = (index || createSearchIndex(recipes)).search(filters.q).map(match => match.recipe)
+  }
+
+  filters.diets.forEach(diet => {
+    results = results.filter(recipe => recipe[diet])
+  })
+
+  filters.flags.forEach(flag => {
+    results = results.filter(recipe => recipe[flag])
+  })
+
+  RANGE_FILTERS.forEach(({ key, field }) => {
+    const range = filters.ranges[key]
+    if (!range) return
+    const [low, high] = range
+    results = results.filter(recipe =>
+      recipe[field] !== null &&
+      (low === null || recipe[field] >= low) && (high === null || recipe[field] <= high)
+    )
+  })
+
+  return results
+}
+
+export function countActiveFilters(filters) {
+  return filters.diets.length + filters.flags.length + Object.keys(filters.ranges).length + (filters.q ? 1 : 0)
+}
+
+// Saved presets hold the query string of a filter state
+export const filterPresetsStore = createStore('filter-presets', { presets: [] })
+
+export function saveFilterPreset(name, filters) {
+  const preset = { id: `preset-${Date.now().toString(36)}`, name: name.trim(), query: filtersToParams(filters).toString() }
+  filterPresetsStore.setState(state => ({ presets: [...state.presets, preset] }))
+}
+
+export function deleteFilterPreset(presetId) {
+  filterPresetsStore.setState(state => ({ presets: state.presets.filter(p => p.id !== presetId) }))
+}
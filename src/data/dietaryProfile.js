@@ -0,0 +1,88 @@
+import { createStore } from './createStore'
+import { matchesDiet, intoleranceConflicts, ingredientsMatching, unsearchedRules } from './recipeSearch'
+import { isCustomRecipe } from './customRecipes'
+
+// Personal dietary profile, persisted locally. While `active`, it narrows the
+// recipes the app requests and shows on the Dashboard, and RecipeDetail warns
+// about anything in a recipe that conflicts with it.
+
+// One serving above this share of the daily calorie target gets a warning
+export const MEAL_CALORIE_SHARE = 0.4
+
+export const dietaryProfileStore = createStore('dietary-profile', {
+  active: true,
+  diets: [],
+  intolerances: [],
+  dislikes: [],
+  calorieTarget: null
+})
+
+export function updateProfile(patch) {
+  dietaryProfileStore.setState(patch)
+}
+
+export function addDislike(name) {
+  const clean = name.trim().toLowerCase()
+  if (!clean) return
+  dietaryProfileStore.setState(state => state.dislikes.includes(clean) ? {} : { dislikes: [...state.dislikes, clean] })
+}
+
+export function removeDislike(name) {
+  dietaryProfileStore.setState(state => ({ dislikes: state.dislikes.filter(d => d !== name) }))
+}
+
+export function hasProfileRules(profile) {
+  return profile.diets.length + profile.intolerances.length + profile.dislikes.length > 0
+}
+
+// complexSearch options for the profile (also understood by filterRecipes)
+export function profileSearchOptions(profile) {
+  if (!profile.active) return {}
+  const options = {}
+  if (profile.diets.length) options.diet = profile.diets.join(',')
+  if (profile.intolerances.length) options.intolerances = profile.intolerances.join(',')
+  if (profile.dislikes.length) options.excludeIngredients = profile.dislikes.join(',')
+  return options
+}
+
+// Everything in `recipe` that goes against the profile, as
+// [{ kind: 'diet' | 'intolerance' | 'dislike' | 'calories', message }]
+export function profileWarnings(recipe, profile) {
+  const warnings = []
+
+  profile.diets.forEach(diet => {
+    if (!matchesDiet(recipe, diet)) warnings.push({ kind: 'diet', message: `Not ${diet}` })
+  })
+
+  profile.intolerances.forEach(intolerance => {
+    const found = intoleranceConflicts(recipe, intolerance)
+    if (found.length) warnings.push({ kind: 'intolerance', message: `Contains ${intolerance}: ${found.join(', ')}` })
+  })
+
+  const disliked = ingredientsMatching(recipe, profile.dislikes)
+  if (disliked.length) warnings.push({ kind: 'dislike', message: `Includes ingredients you dislike: ${disliked.join(', ')}` })
+
+  if (profile.calorieTarget && recipe.calories !== null) {
+    const share = recipe.calories / profile.calorieTarget
+    if (share > MEAL_CALORIE_SHARE) {
+      warnings.push({
+        kind: 'calories',
+        message: `One serving is ${Math.round(share * 100)}% of your ${profile.calorieTarget} kcal daily target`
+      })
+    }
+  }
+
+  return warnings
+}
+
+// Recipes the active profile allows; calorie warnings never hide a recipe.
+// `searchOptions` are the options the source already searched with; the
+// diets and intolerances in them aren't checked again on what it returned
+// (see unsearchedRules), custom recipes are checked in full.
+export function applyProfile(recipes, profile, searchOptions = {}) {
+  if (!profile.active || !hasProfileRules(profile)) return recipes
+  const unsearched = unsearchedRules(profile, searchOptions)
+  return recipes.filter(recipe => (
+    profileWarnings(recipe, isCustomRecipe(recipe) ? profile : unsearched).every(w => w.kind === 'calories')
+  ))
+}
@@ -0,0 +1,45 @@
+// Typed recipe source errors
+//
+// Sources and the request cache throw RecipeSourceError so the UI can tell a
+// bad API key from an exhausted quota, a dropped connection or an empty
+// result, and only retry what a retry can fix.
+
+export const ERROR_KINDS = {
+  auth: { title: 'API key problem', icon: '🔑', retryable: false, hint: 'Check the API key in your .env file or settings.' },
+  config: { title: 'Recipe source not set up', icon: '🔧', retryable: false, hint: 'Enter the source URL in Settings, or set VITE_APP_RECIPE_SOURCE_URL in your .env file.' },
+  quota: { title: 'Daily API quota used up', icon: '📉', retryable: false, hint: 'The quota resets daily. Cached and sample recipes are shown meanwhile.' },
+  network: { title: 'Cannot reach the recipe service', icon: '📡', retryable: true, hint: 'Check your internet connection and try again.' },
+  server: { title: 'The recipe service is having trouble', icon: '🛠️', retryable: true, hint: 'This is usually temporary. Try again in a moment.' },
+  notFound: { title: 'Not found', icon: '❓', retryable: false, hint: 'The recipe may have been removed.' },
+  empty: { title: 'No recipes found', icon: '🍽️', retryable: false, hint: 'Try loosening your dietary profile or filters.' },
+  unknown: { title: 'Something went wrong', icon: '⚠️', retryable: true, hint: 'Try again, or reload the page.' }
+}
+
+export class RecipeSourceError extends Error {
+  constructor(kind, message, { status = null, cause } = {}) {
+    super(message || ERROR_KINDS[kind].title, { cause })
+    this.name = 'RecipeSourceError'
+    this.kind = ERROR_KINDS[kind] ? kind : 'unknown'
+    this.status = status
+  }
+
+  get retryable() {
+    return ERROR_KINDS[this.kind].retryable
+  }
+}
+
+// Spoonacular answers 401 for a bad key and 402 once the daily quota is spent
+export function errorFromStatus(status) {
+  if (status === 401 || status === 403) return new RecipeSourceError('auth', `The API rejected the key (HTTP ${status}).`, { status })
+  if (status === 402 || status === 429) return new RecipeSourceError('quota', `API quota exceeded (HTTP ${status}).`, { status })
+  if (status === 404) return new RecipeSourceError('notFound', `Not found (HTTP ${status}).`, { status })
+  if (status >= 500) return new RecipeSourceError('server', `The recipe service failed (HTTP ${status}).`, { status })
+  return new RecipeSourceError('unknown', `API Error: ${status}`, { status })
+}
+
+// fetch() rejects with a TypeError when the request never got a response
+export function toRecipeSourceError(err) {
+  if (err instanceof RecipeSourceError) return err
+  if (err instanceof TypeError) return new RecipeSourceError('network', 'The request could not be completed.', { cause: err })
+  return new RecipeSourceError('unknown', err?.message, { cause: err })
+}
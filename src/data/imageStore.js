@@ -0,0 +1,113 @@
+// Images uploaded for custom recipes. They are far too big for localStorage
+// and recipes get copied into collections, the meal plan, the cooking log and
+// exports, so each image is stored once in IndexedDB and recipes only hold a
+// 'stored-image:<id>' reference to it. Use RecipeImage to show one.
+//
+// Those copies outlive the custom recipe, so images are not deleted with it:
+// collectUnusedImages removes them once nothing references them any more.
+
+import { listKeys, readJson } from './storage'
+
+const DB_NAME = 'recipe-hub'
+const STORE_NAME = 'images'
+const REF_PREFIX = 'stored-image:'
+
+export const isStoredImage = (src) => typeof src === 'string' && src.startsWith(REF_PREFIX)
+
+// Unreferenced images younger than this may belong to an editor that is
+// still open (possibly in another tab) and are kept
+const UNUSED_GRACE_PERIOD = 24 * 60 * 60 * 1000
+
+// Reference -> object URL of the loaded image (null when it is missing)
+const loadedUrls = new Map()
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser cannot store images.'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Let a later call try again
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+async function run(mode, action) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = action(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Storing the image was cancelled.'))
+  })
+}
+
+// Stores the image Blob and resolves to its reference
+export async function saveImage(blob) {
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+  try {
+    await run('readwrite', store => store.put(blob, id))
+  } catch (err) {
+    throw new Error(`The image could not be stored: ${err?.message || 'storage is full'}`)
+  }
+  loadedUrls.set(REF_PREFIX + id, URL.createObjectURL(blob))
+  return REF_PREFIX + id
+}
+
+// Object URL already loaded for the reference (undefined while not loaded)
+export const cachedImageUrl = (ref) => loadedUrls.get(ref)
+
+// Resolves to an object URL for the reference, or null when it is missing
+export async function loadImage(ref) {
+  if (loadedUrls.has(ref)) return loadedUrls.get(ref)
+  let url = null
+  try {
+    const blob = await run('readonly', store => store.get(ref.slice(REF_PREFIX.length)))
+    if (blob) url = URL.createObjectURL(blob)
+  } catch {
+    // unavailable storage counts as a missing image
+  }
+  loadedUrls.set(ref, url)
+  return url
+}
+
+export async function deleteImage(ref) {
+  if (!isStoredImage(ref)) return
+  const url = loadedUrls.get(ref)
+  if (url) URL.revokeObjectURL(url)
+  loadedUrls.delete(ref)
+  try {
+    await run('readwrite', store => store.delete(ref.slice(REF_PREFIX.length)))
+  } catch {
+    // nothing to clean up
+  }
+}
+
+// Deletes stored images that no persisted store references, e.g. of deleted
+// custom recipes once no collection, plan or log entry shows them either
+export async function collectUnusedImages() {
+  const referenced = new Set(listKeys().flatMap(key => (
+    JSON.stringify(readJson(key, null)).match(/stored-image:[a-z0-9-]+/g) || []
+  )))
+
+  let ids
+  try {
+    ids = await run('readonly', store => store.getAllKeys())
+  } catch {
+    return
+  }
+
+  const now = Date.now()
+  ids
+    .filter(id => !referenced.has(REF_PREFIX + id) && now - parseInt(String(id).split('-')[0], 36) > UNUSED_GRACE_PERIOD)
+    .forEach(id => deleteImage(REF_PREFIX + id))
+}
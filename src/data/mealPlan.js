@@ -0,0 +1,78 @@
+import { createStore } from './createStore'
+
+// Weekly meal plan: each day/meal slot holds a list of recipe ids, with recipe
+// snapshots kept alongside so the plan survives reloads and source changes.
+
+export const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+
+export const MEAL_SLOTS = [
+  { key: 'breakfast', label: 'Breakfast', icon: '🥞' },
+  { key: 'lunch', label: 'Lunch', icon: '🥪' },
+  { key: 'dinner', label: 'Dinner', icon: '🍝' }
+]
+
+export const mealPlanStore = createStore('meal-plan', {
+  slots: {},
+  recipes: {}
+})
+
+export const slotKey = (day, slot) => `${day}:${slot}`
+
+const pruneRecipes = (slots, recipes) => {
+  const used = new Set(Object.values(slots).flat())
+  return Object.fromEntries(Object.entries(recipes).filter(([id]) => used.has(id)))
+}
+
+const updateSlots = (updater, extraRecipes = {}) => {
+  mealPlanStore.setState(state => {
+    const slots = updater(state.slots)
+    return { slots, recipes: pruneRecipes(slots, { ...state.recipes, ...extraRecipes }) }
+  })
+}
+
+export function addToPlan(day, slot, recipe) {
+  const key = slotKey(day, slot)
+  updateSlots(slots => ({
+    ...slots,
+    [key]: [...(slots[key] || []).filter(id => id !== recipe.id), recipe.id]
+  }), { [recipe.id]: recipe })
+}
+
+export function removeFromPlan(key, recipeId) {
+  updateSlots(slots => ({ ...slots, [key]: (slots[key] || []).filter(id => id !== recipeId) }))
+}
+
+export function moveInPlan(fromKey, toKey, recipeId) {
+  if (fromKey === toKey) return
+  updateSlots(slots => ({
+    ...slots,
+    [fromKey]: (slots[fromKey] || []).filter(id => id !== recipeId),
+    [toKey]: [...(slots[toKey] || []).filter(id => id !== recipeId), recipeId]
+  }))
+}
+
+export function clearPlan() {
+  mealPlanStore.setState({ slots: {}, recipes: {} })
+}
+
+// Recipes planned for one day, in slot order
+export function recipesForDay(state, day) {
+  return MEAL_SLOTS.flatMap(({ key }) => (state.slots[slotKey(day, key)] || []))
+    .map(id => state.recipes[id])
+    .filter(Boolean)
+}
+
+// Every planned recipe across the week, once per occurrence
+export function plannedRecipes(state) {
+  return DAYS.flatMap(day => recipesForDay(state, day))
+}
+
+// Cooking time, whole-recipe cost (cents) and average health score for a day
+export function dayTotals(recipes) {
+  const minutes = recipes.reduce((sum, r) => sum + r.readyInMinutes, 0)
+  const cost = recipes.reduce((sum, r) => sum + r.pricePerServing * r.servings, 0)
+  const health = recipes.length > 0
+    ? Math.round(recipes.reduce((sum, r) => sum + r.healthScore, 0) / recipes.length)
+    : 0
+  return { minutes, cost, health, count: recipes.length }
+}
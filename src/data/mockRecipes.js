@@ -0,0 +1,382 @@
+// Sample recipes used when no real source is reachable, or when the `mock`
+// source is selected.
+//
+// The dataset is generated from a seed, so the same seed and count always
+// produce exactly the same recipes: demos look the same on every reload and
+// tests can assert on concrete values. Images are local placeholders from
+// public/placeholders, so nothing is fetched over the network.
+
+export const DEFAULT_MOCK_SEED = 42
+export const DEFAULT_MOCK_COUNT = 60
+
+const PLACEHOLDER_IMAGES = {
+  'main course': '/placeholders/main-course.svg',
+  salad: '/placeholders/salad.svg',
+  soup: '/placeholders/soup.svg',
+  dessert: '/placeholders/dessert.svg',
+  breakfast: '/placeholders/breakfast.svg',
+  snack: '/placeholders/snack.svg'
+}
+
+// [amount, unit, name, aisle]
+const DISHES = [
+  {
+    title: 'Classic Margherita Pizza', cuisines: ['Italian', 'Mediterranean'], dishTypes: ['main course'],
+    vegetarian: true, vegan: false, glutenFree: false, dairyFree: false,
+    ingredients: [
+      [500, 'g', 'pizza dough', 'Bakery/Bread'], [200, 'g', 'tomato sauce', 'Canned and Jarred'],
+      [250, 'g', 'fresh mozzarella', 'Cheese'], [1, 'handful', 'fresh basil', 'Produce'],
+      [2, 'tbsp', 'olive oil', 'Oil, Vinegar, Salad Dressing'], [1, 'tsp', 'salt', 'Spices and Seasonings']
+    ],
+    steps: [
+      ['Preheat the oven to its highest setting with a pizza stone or tray inside.', ['oven'], 20],
+      ['Stretch the dough into a thin round and spread the tomato sauce over it.', [], null],
+      ['Tear the mozzarella over the sauce, drizzle with olive oil and season with salt.', [], null],
+      ['Bake until the crust is golden and the cheese is bubbling.', ['oven'], 10],
+      ['Scatter the basil over the pizza and serve immediately.', [], null]
+    ]
+  },
+  {
+    title: 'Chicken Tikka Masala', cuisines: ['Indian', 'Asian'], dishTypes: ['main course'],
+    vegetarian: false, vegan: false, glutenFree: true, dairyFree: false,
+    ingredients: [
+      [600, 'g', 'chicken thighs', 'Meat'], [250, 'ml', 'plain yogurt', 'Milk, Eggs, Other Dairy'],
+      [2, 'tbsp', 'garam masala', 'Spices and Seasonings'], [400, 'g', 'crushed tomatoes', 'Canned and Jarred'],
+      [200, 'ml', 'heavy cream', 'Milk, Eggs, Other Dairy'], [1, '', 'onion', 'Produce'],
+      [3, 'cloves', 'garlic', 'Produce'], [1, 'tbsp', 'ginger', 'Produce']
+    ],
+    steps: [
+      ['Marinate the chicken in yogurt and half of the garam masala.', ['bowl'], 30],
+      ['Sear the chicken in a hot pan until charred at the edges, then set aside.', ['frying pan'], 8],
+      ['Soften the onion, garlic and ginger, then add the remaining spices.', ['frying pan'], 5],
+      ['Add the tomatoes and cream and simmer until thickened.', ['frying pan'], 15],
+      ['Return the chicken to the sauce and simmer until cooked through.', ['frying pan'], 10]
+    ]
+  },
+  {
+    title: 'Caesar Salad', cuisines: ['American'], dishTypes: ['salad'],
+    vegetarian: false, vegan: false, glutenFree: false, dairyFree: false,
+    ingredients: [
+      [1, 'head', 'romaine lettuce', 'Produce'], [50, 'g', 'parmesan', 'Cheese'],
+      [2, 'cups', 'croutons', 'Bakery/Bread'], [4, '', 'anchovy fillets', 'Seafood'],
+      [1, '', 'egg yolk', 'Milk, Eggs, Other Dairy'], [1, '', 'lemon', 'Produce'],
+      [80, 'ml', 'olive oil', 'Oil, Vinegar, Salad Dressing']
+    ],
+    steps: [
+      ['Whisk the egg yolk, lemon juice and mashed anchovies, then slowly whisk in the olive oil.', ['whisk'], null],
+      ['Tear the lettuce into a large bowl.', ['bowl'], null],
+      ['Toss with the dressing, croutons and shaved parmesan.', ['bowl'], null]
+    ]
+  },
+  {
+    title: 'Beef Tacos', cuisines: ['Mexican', 'Latin American'], dishTypes: ['main course'],
+    vegetarian: false, vegan: false, glutenFree: true, dairyFree: false,
+    ingredients: [
+      [500, 'g', 'ground beef', 'Meat'], [8, '', 'corn tortillas', 'Ethnic Foods'],
+      [1, 'tbsp', 'chili powder', 'Spices and Seasonings'], [1, 'tsp', 'cumin', 'Spices and Seasonings'],
+      [1, '', 'onion', 'Produce'], [2, '', 'tomatoes', 'Produce'],
+      [100, 'g', 'cheddar cheese', 'Cheese'], [1, '', 'lime', 'Produce']
+    ],
+    steps: [
+      ['Brown the beef with the chopped onion, breaking it up as it cooks.', ['frying pan'], 8],
+      ['Stir in the spices and a splash of water and simmer.', ['frying pan'], 5],
+      ['Warm the tortillas in a dry pan.', ['frying pan'], 2],
+      ['Fill the tortillas with beef, diced tomato and cheese and squeeze over lime.', [], null]
+    ]
+  },
+  {
+    title: 'Mushroom Risotto', cuisines: ['Italian'], dishTypes: ['main course'],
+    vegetarian: true, vegan: false, glutenFree: true, dairyFree: false,
+    ingredients: [
+      [300, 'g', 'arborio rice', 'Pasta and Rice'], [400, 'g', 'mushrooms', 'Produce'],
+      [1, 'l', 'vegetable broth', 'Canned and Jarred'], [1, '', 'shallot', 'Produce'],
+      [120, 'ml', 'white wine', 'Alcoholic Beverages'], [50, 'g', 'parmesan', 'Cheese'],
+      [2, 'tbsp', 'butter', 'Milk, Eggs, Other Dairy']
+    ],
+    steps: [
+      ['Fry the sliced mushrooms in half the butter until golden, then set aside.', ['pot'], 6],
+      ['Soften the shallot, add the rice and toast it.', ['pot'], 2],
+      ['Add the wine, then the hot broth a ladle at a time, stirring often.', ['pot', 'ladle'], 18],
+      ['Stir in the mushrooms, remaining butter and parmesan and rest before serving.', ['pot'], 2]
+    ]
+  },
+  {
+    title: 'Grilled Salmon', cuisines: ['Nordic', 'European'], dishTypes: ['main course'],
+    vegetarian: false, vegan: false, glutenFree: true, dairyFree: true,
+    ingredients: [
+      [4, '', 'salmon fillets', 'Seafood'], [2, 'tbsp', 'olive oil', 'Oil, Vinegar, Salad Dressing'],
+      [1, '', 'lemon', 'Produce'], [2, 'cloves', 'garlic', 'Produce'],
+      [1, 'tbsp', 'fresh dill', 'Produce'], [1, 'tsp', 'salt', 'Spices and Seasonings']
+    ],
+    steps: [
+      ['Rub the salmon with olive oil, garlic, salt and lemon zest.', ['bowl'], 10],
+      ['Grill skin side down over medium-high heat.', ['grill'], 6],
+      ['Flip and grill until just cooked through.', ['grill'], 3],
+      ['Finish with dill and lemon juice.', [], null]
+    ]
+  },
+  {
+    title: 'Pasta Carbonara', cuisines: ['Italian'], dishTypes: ['main course'],
+    vegetarian: false, vegan: false, glutenFree: false, dairyFree: false,
+    ingredients: [
+      [400, 'g', 'spaghetti', 'Pasta and Rice'], [150, 'g', 'guanciale', 'Meat'],
+      [4, '', 'eggs', 'Milk, Eggs, Other Dairy'], [80, 'g', 'pecorino romano', 'Cheese'],
+      [1, 'tsp', 'black pepper', 'Spices and Seasonings']
+    ],
+    steps: [
+      ['Cook the spaghetti in salted boiling water.', ['pot'], 10],
+      ['Crisp the guanciale in a pan.', ['frying pan'], 6],
+      ['Whisk the eggs with the pecorino and plenty of pepper.', ['whisk', 'bowl'], null],
+      ['Toss the drained pasta with the guanciale off the heat, then stir in the egg mixture with a little pasta water.', ['frying pan'], null]
+    ]
+  },
+  {
+    title: 'Thai Green Curry', cuisines: ['Thai', 'Asian'], dishTypes: ['main course', 'soup'],
+    vegetarian: true, vegan: true, glutenFree: true, dairyFree: true,
+    ingredients: [
+      [3, 'tbsp', 'green curry paste', 'Ethnic Foods'], [400, 'ml', 'coconut milk', 'Ethnic Foods'],
+      [300, 'g', 'firm tofu', 'Refrigerated'], [1, '', 'eggplant', 'Produce'],
+      [150, 'g', 'green beans', 'Produce'], [1, 'handful', 'thai basil', 'Produce'],
+      [300, 'g', 'jasmine rice', 'Pasta and Rice']
+    ],
+    steps: [
+      ['Cook the jasmine rice.', ['pot'], 15],
+      ['Fry the curry paste in a splash of coconut milk until fragrant.', ['wok'], 2],
+      ['Add the remaining coconut milk, vegetables and tofu and simmer.', ['wok'], 12],
+      ['Stir in the basil and serve over the rice.', [], null]
+    ]
+  },
+  {
+    title: 'Quinoa Buddha Bowl', cuisines: ['American'], dishTypes: ['main course', 'salad'],
+    vegetarian: true, vegan: true, glutenFree: true, dairyFree: true,
+    ingredients: [
+      [200, 'g', 'quinoa', 'Pasta and Rice'], [400, 'g', 'chickpeas', 'Canned and Jarred'],
+      [1, '', 'sweet potato', 'Produce'], [2, 'cups', 'spinach', 'Produce'],
+      [1, '', 'avocado', 'Produce'], [3, 'tbsp', 'tahini', 'Nut butters, Jams, and Honey'],
+      [1, '', 'lemon', 'Produce']
+    ],
+    steps: [
+      ['Roast the cubed sweet potato and chickpeas.', ['oven', 'baking sheet'], 25],
+      ['Simmer the quinoa until the water is absorbed.', ['pot'], 15],
+      ['Whisk the tahini with lemon juice and water into a dressing.', ['whisk'], null],
+      ['Assemble bowls with spinach, quinoa, roasted vegetables and avocado.', ['bowl'], null]
+    ]
+  },
+  {
+    title: 'Chocolate Chip Cookies', cuisines: ['American'], dishTypes: ['dessert', 'snack'],
+    vegetarian: true, vegan: false, glutenFree: false, dairyFree: false,
+    ingredients: [
+      [250, 'g', 'flour', 'Baking'], [170, 'g', 'butter', 'Milk, Eggs, Other Dairy'],
+      [150, 'g', 'brown sugar', 'Baking'], [1, '', 'egg', 'Milk, Eggs, Other Dairy'],
+      [200, 'g', 'chocolate chips', 'Baking'], [1, 'tsp', 'baking soda', 'Baking']
+    ],
+    steps: [
+      ['Cream the butter and sugar, then beat in the egg.', ['mixing bowl'], null],
+      ['Fold in the flour, baking soda and chocolate chips and chill the dough.', ['mixing bowl'], 30],
+      ['Scoop onto a lined tray and bake until golden at the edges.', ['oven', 'baking sheet'], 11],
+      ['Cool on the tray before moving to a rack.', ['wire rack'], 5]
+    ]
+  },
+  {
+    title: 'Greek Moussaka', cuisines: ['Greek', 'Mediterranean'], dishTypes: ['main course'],
+    vegetarian: false, vegan: false, glutenFree: false, dairyFree: false,
+    ingredients: [
+      [2, '', 'eggplants', 'Produce'], [500, 'g', 'ground lamb', 'Meat'],
+      [400, 'g', 'crushed tomatoes', 'Canned and Jarred'], [1, '', 'onion', 'Produce'],
+      [500, 'ml', 'milk', 'Milk, Eggs, Other Dairy'], [50, 'g', 'flour', 'Baking'],
+      [1, 'tsp', 'cinnamon', 'Spices and Seasonings']
+    ],
+    steps: [
+      ['Slice and roast the eggplants.', ['oven', 'baking sheet'], 20],
+      ['Brown the lamb with the onion, add the tomatoes and cinnamon and simmer.', ['frying pan'], 20],
+      ['Whisk the flour into the warm milk and cook into a thick white sauce.', ['pot', 'whisk'], 8],
+      ['Layer eggplant and lamb in a dish, top with the sauce and bake.', ['oven', 'baking dish'], 45]
+    ]
+  },
+  {
+    title: 'Sushi Rolls', cuisines: ['Japanese', 'Asian'], dishTypes: ['main course', 'snack'],
+    vegetarian: false, vegan: false, glutenFree: true, dairyFree: true,
+    ingredients: [
+      [300, 'g', 'sushi rice', 'Pasta and Rice'], [4, 'sheets', 'nori', 'Ethnic Foods'],
+      [200, 'g', 'sashimi-grade tuna', 'Seafood'], [1, '', 'cucumber', 'Produce'],
+      [3, 'tbsp', 'rice vinegar', 'Oil, Vinegar, Salad Dressing'], [2, 'tbsp', 'tamari', 'Ethnic Foods']
+    ],
+    steps: [
+      ['Rinse and cook the rice, then season it with the vinegar and let it cool.', ['pot'], 20],
+      ['Spread rice over a nori sheet on a bamboo mat and lay tuna and cucumber along one edge.', ['bamboo mat'], null],
+      ['Roll tightly, slice and serve with tamari.', ['knife'], null]
+    ]
+  },
+  {
+    title: 'French Onion Soup', cuisines: ['French', 'European'], dishTypes: ['soup'],
+    vegetarian: true, vegan: false, glutenFree: false, dairyFree: false,
+    ingredients: [
+      [1, 'kg', 'onions', 'Produce'], [50, 'g', 'butter', 'Milk, Eggs, Other Dairy'],
+      [1.5, 'l', 'vegetable broth', 'Canned and Jarred'], [120, 'ml', 'dry white wine', 'Alcoholic Beverages'],
+      [4, 'slices', 'baguette', 'Bakery/Bread'], [150, 'g', 'gruyere', 'Cheese']
+    ],
+    steps: [
+      ['Slowly caramelize the sliced onions in butter.', ['pot'], 45],
+      ['Deglaze with the wine, add the broth and simmer.', ['pot'], 20],
+      ['Ladle into bowls, top with baguette and gruyere and grill until bubbling.', ['oven'], 5]
+    ]
+  },
+  {
+    title: 'BBQ Ribs', cuisines: ['American', 'Southern'], dishTypes: ['main course'],
+    vegetarian: false, vegan: false, glutenFree: true, dairyFree: true,
+    ingredients: [
+      [1.5, 'kg', 'pork ribs', 'Meat'], [2, 'tbsp', 'smoked paprika', 'Spices and Seasonings'],
+      [2, 'tbsp', 'brown sugar', 'Baking'], [1, 'tsp', 'garlic powder', 'Spices and Seasonings'],
+      [250, 'ml', 'bbq sauce', 'Condiments']
+    ],
+    steps: [
+      ['Rub the ribs all over with the paprika, sugar and garlic powder.', [], null],
+      ['Wrap in foil and bake low and slow until tender.', ['oven', 'aluminum foil'], 150],
+      ['Unwrap, brush with bbq sauce and grill until sticky and charred.', ['grill'], 10]
+    ]
+  },
+  {
+    title: 'Caprese Sandwich', cuisines: ['Italian'], dishTypes: ['snack', 'breakfast'],
+    vegetarian: true, vegan: false, glutenFree: false, dairyFree: false,
+    ingredients: [
+      [1, '', 'ciabatta', 'Bakery/Bread'], [125, 'g', 'fresh mozzarella', 'Cheese'],
+      [1, '', 'tomato', 'Produce'], [6, 'leaves', 'fresh basil', 'Produce'],
+      [1, 'tbsp', 'pesto', 'Pasta and Rice'], [1, 'tsp', 'balsamic glaze', 'Oil, Vinegar, Salad Dressing']
+    ],
+    steps: [
+      ['Split the ciabatta and spread with pesto.', ['knife'], null],
+      ['Layer sliced mozzarella, tomato and basil and drizzle with balsamic.', [], null],
+      ['Toast in a grill pan until the cheese starts to melt.', ['grill pan'], 4]
+    ]
+  },
+  {
+    title: 'Overnight Oats', cuisines: ['American'], dishTypes: ['breakfast'],
+    vegetarian: true, vegan: true, glutenFree: true, dairyFree: true,
+    ingredients: [
+      [100, 'g', 'rolled oats', 'Cereal'], [250, 'ml', 'almond milk', 'Milk, Eggs, Other Dairy'],
+      [1, 'tbsp', 'chia seeds', 'Health Foods'], [1, 'tbsp', 'maple syrup', 'Cereal'],
+      [100, 'g', 'blueberries', 'Produce']
+    ],
+    steps: [
+      ['Stir the oats, milk, chia seeds and maple syrup together in a jar.', ['jar'], null],
+      ['Refrigerate overnight, then top with blueberries.', [], null]
+    ]
+  },
+  {
+    title: 'Lentil Soup', cuisines: ['Middle Eastern'], dishTypes: ['soup'],
+    vegetarian: true, vegan: true, glutenFree: true, dairyFree: true,
+    ingredients: [
+      [250, 'g', 'red lentils', 'Pasta and Rice'], [1, '', 'onion', 'Produce'],
+      [2, '', 'carrots', 'Produce'], [1, 'tsp', 'cumin', 'Spices and Seasonings'],
+      [1.2, 'l', 'vegetable broth', 'Canned and Jarred'], [1, '', 'lemon', 'Produce']
+    ],
+    steps: [
+      ['Soften the onion and carrots with the cumin.', ['pot'], 6],
+      ['Add the lentils and broth and simmer until the lentils collapse.', ['pot'], 20],
+      ['Blend until smooth and finish with lemon juice.', ['blender'], null]
+    ]
+  },
+  {
+    title: 'Berry Panna Cotta', cuisines: ['Italian'], dishTypes: ['dessert'],
+    vegetarian: false, vegan: false, glutenFree: true, dairyFree: false,
+    ingredients: [
+      [500, 'ml', 'heavy cream', 'Milk, Eggs, Other Dairy'], [80, 'g', 'sugar', 'Baking'],
+      [3, 'sheets', 'gelatin', 'Baking'], [1, 'tsp', 'vanilla extract', 'Baking'],
+      [200, 'g', 'mixed berries', 'Produce']
+    ],
+    steps: [
+      ['Soak the gelatin in cold water.', ['bowl'], 5],
+      ['Warm the cream with the sugar and vanilla, then dissolve the gelatin in it.', ['pot'], 5],
+      ['Pour into glasses and chill until set.', [], 240],
+      ['Top with the berries before serving.', [], null]
+    ]
+  }
+]
+
+const VARIATIONS = ['', 'Easy', 'Spicy', 'Family-Style', 'Weeknight', 'Rustic', 'Homestyle', 'Herbed']
+
+// mulberry32: tiny, fast and good enough for fixture data
+export function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const diets = (dish) => [
+  dish.glutenFree && 'gluten free',
+  dish.dairyFree && 'dairy free',
+  dish.vegetarian && 'lacto ovo vegetarian',
+  dish.vegan && 'vegan'
+].filter(Boolean)
+
+export function generateMockRecipes({ seed = DEFAULT_MOCK_SEED, count = DEFAULT_MOCK_COUNT } = {}) {
+  const random = createRandom(seed)
+  const between = (min, max) => Math.floor(random() * (max - min + 1)) + min
+
+  return Array.from({ length: count }, (_, i) => {
+    const dish = DISHES[i % DISHES.length]
+    const variation = VARIATIONS[Math.floor(i / DISHES.length) % VARIATIONS.length]
+    const round = Math.floor(i / (DISHES.length * VARIATIONS.length))
+    const title = [variation, dish.title, round > 0 ? `#${round + 1}` : ''].filter(Boolean).join(' ')
+
+    const cookingMinutes = dish.steps.reduce((sum, [, , minutes]) => sum + (minutes || 0), 0)
+    const healthScore = between(dish.vegan ? 40 : 10, 100)
+    const pricePerServing = between(80, 600)
+    const likes = between(0, 2500)
+
+    const protein = between(5, 50)
+    const fat = between(5, 45)
+    const carbohydrates = between(10, 90)
+
+    return {
+      id: `mock-${i + 1}`,
+      title,
+      image: PLACEHOLDER_IMAGES[dish.dishTypes[0]],
+      summary: `${title} is a ${dish.cuisines[0]} ${dish.dishTypes[0]} from the sample data set.`,
+      readyInMinutes: Math.max(10, cookingMinutes) + between(0, 15),
+      servings: between(2, 8),
+      healthScore,
+      pricePerServing,
+      likes,
+      vegetarian: dish.vegetarian,
+      vegan: dish.vegan,
+      glutenFree: dish.glutenFree,
+      dairyFree: dish.dairyFree,
+      veryHealthy: healthScore >= 75,
+      veryPopular: likes >= 1500,
+      cheap: pricePerServing < 200,
+      sustainable: random() > 0.7,
+      cuisines: dish.cuisines,
+      dishTypes: dish.dishTypes,
+      diets: diets(dish),
+      ingredients: dish.ingredients.map(([amount, unit, name, aisle]) => ({
+        id: name.replace(/\s+/g, '-'),
+        name,
+        original: [amount, unit, name].filter(Boolean).join(' '),
+        amount,
+        unit,
+        aisle
+      })),
+      steps: dish.steps.map(([text, equipment, minutes]) => ({
+        text,
+        equipment,
+        length: minutes ? { number: minutes, unit: 'minutes' } : null
+      })),
+      sourceName: 'Recipe Hub sample data',
+      nutrition: {
+        calories: protein * 4 + fat * 9 + carbohydrates * 4,
+        protein,
+        fat,
+        carbohydrates,
+        sugar: between(1, 30),
+        fiber: between(1, 12),
+        sodium: between(150, 1600)
+      }
+    }
+  })
+}
@@ -0,0 +1,183 @@
+// Normalized recipe shape
+//
+// Every recipe source maps its own payload into this shape so the views never
+// read provider-specific fields. Prices are in US cents per serving. A recipe
+// already in this shape (e.g. from an export) normalizes to itself.
+//
+// {
+//   id, source, title, image, summary,
+//   readyInMinutes, servings, healthScore, pricePerServing, likes,
+//   vegetarian, vegan, glutenFree, dairyFree,
+//   veryHealthy, veryPopular, cheap, sustainable,
+//   cuisines, dishTypes, diets,
+//   ingredients: [{ id, name, original, amount, unit, aisle, image, measures }],
+//   steps: [{ number, text, equipment, ingredients, minutes }],
+//   equipment, sourceName, sourceUrl,
+//   nutrition, calories, protein          (see nutrition.js)
+// }
+
+import { DAILY_VALUES, findNutrient, percentOfDailyValue, caloricBreakdown } from './nutrition'
+
+const toNumber = (value, fallback = 0) => {
+  const number = Number(value)
+  return Number.isFinite(number) ? number : fallback
+}
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.filter(Boolean).map(String)
+  if (typeof value === 'string' && value.trim()) return value.split(',').map(s => s.trim()).filter(Boolean)
+  return []
+}
+
+export const stripHtml = (html = '') => String(html).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim()
+
+const normalizeMeasure = (measure) => measure
+  ? { amount: toNumber(measure.amount), unit: measure.unitShort ?? measure.unit ?? '' }
+  : null
+
+export function normalizeIngredient(raw, index = 0) {
+  if (typeof raw === 'string') {
+    return { id: `ingredient-${index}`, name: raw, original: raw, amount: 0, unit: '', aisle: '', image: '', measures: null }
+  }
+
+  const measures = raw.measures
+    ? { us: normalizeMeasure(raw.measures.us), metric: normalizeMeasure(raw.measures.metric) }
+    : null
+
+  return {
+    id: String(raw.id ?? `ingredient-${index}`),
+    name: raw.nameClean ?? raw.name ?? raw.original ?? '',
+    original: raw.original ?? raw.originalString ?? raw.name ?? '',
+    amount: toNumber(raw.amount ?? raw.quantity),
+    unit: raw.unit ?? raw.unitShort ?? '',
+    aisle: raw.aisle ?? '',
+    image: raw.image ?? '',
+    measures
+  }
+}
+
+// Accepts Spoonacular's analyzedInstructions, a flat list of step objects or
+// strings, or a single block of text.
+export function normalizeSteps(raw) {
+  let steps = []
+
+  if (typeof raw === 'string') {
+    steps = raw.replace(/<\/(li|p)>|<br\s*\/?>/gi, '\n').split('\n').map(stripHtml).filter(Boolean)
+  } else if (Array.isArray(raw)) {
+    steps = raw.flatMap(entry => Array.isArray(entry?.steps) ? entry.steps : [entry])
+  }
+
+  return steps.map((step, i) => {
+    if (typeof step === 'string') {
+      return { number: i + 1, text: step, equipment: [], ingredients: [], minutes: null }
+    }
+    const length = step.length
+    return {
+      number: i + 1,
+      text: step.step ?? step.text ?? '',
+      equipment: (step.equipment ?? []).map(e => e.name ?? String(e)),
+      ingredients: (step.ingredients ?? []).map(ing => ing.name ?? String(ing)),
+      minutes: length && length.unit === 'minutes'
+        ? toNumber(length.number, null)
+        : step.minutes == null ? null : toNumber(step.minutes, null)
+    }
+  })
+}
+
+// Flat nutrition objects, e.g. { calories: 420, protein: 21 } or schema.org
+// NutritionInformation ({ proteinContent: '21 g' }), map onto these names
+const FLAT_NUTRIENTS = {
+  calories: 'Calories',
+  protein: 'Protein',
+  fat: 'Fat',
+  saturatedfat: 'Saturated Fat',
+  carbohydrate: 'Carbohydrates',
+  carbohydrates: 'Carbohydrates',
+  carbs: 'Carbohydrates',
+  sugar: 'Sugar',
+  fiber: 'Fiber',
+  sodium: 'Sodium',
+  cholesterol: 'Cholesterol'
+}
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+// Accepts Spoonacular's nutrition object or a flat one; null when empty
+export function normalizeNutrition(raw) {
+  if (!raw || typeof raw !== 'object') return null
+
+  let nutrients
+  if (Array.isArray(raw.nutrients)) {
+    nutrients = raw.nutrients.map(n => {
+      const amount = roundAmount(toNumber(n.amount))
+      const unit = n.unit ?? ''
+      return {
+        name: n.name ?? n.title ?? '',
+        amount,
+        unit,
+        percentOfDailyNeeds: toNumber(n.percentOfDailyNeeds, null) ?? percentOfDailyValue(n.name, amount, unit)
+      }
+    })
+  } else {
+    nutrients = Object.entries(raw).flatMap(([key, value]) => {
+      const name = FLAT_NUTRIENTS[key.toLowerCase().replace(/content$/, '')]
+      const amount = parseFloat(value)
+      if (!name || !Number.isFinite(amount)) return []
+      const unit = DAILY_VALUES[name].unit
+      return [{ name, amount: roundAmount(amount), unit, percentOfDailyNeeds: percentOfDailyValue(name, amount, unit) }]
+    })
+  }
+
+  nutrients = nutrients.filter(n => n.name)
+  if (nutrients.length === 0) return null
+
+  const breakdown = raw.caloricBreakdown
+  return {
+    nutrients,
+    caloricBreakdown: breakdown
+      ? {
+          protein: toNumber(breakdown.percentProtein ?? breakdown.protein),
+          fat: toNumber(breakdown.percentFat ?? breakdown.fat),
+          carbs: toNumber(breakdown.percentCarbs ?? breakdown.carbs)
+        }
+      : caloricBreakdown(nutrients)
+  }
+}
+
+export function normalizeRecipe(raw, source = 'unknown') {
+  const steps = normalizeSteps(raw.analyzedInstructions?.length ? raw.analyzedInstructions : raw.steps ?? raw.instructions)
+  const ingredients = (raw.extendedIngredients ?? raw.ingredients ?? []).map(normalizeIngredient)
+  const nutrition = normalizeNutrition(raw.nutrition)
+
+  return {
+    id: String(raw.id),
+    source,
+    title: raw.title ?? raw.name ?? 'Untitled recipe',
+    image: raw.image ?? raw.imageUrl ?? '',
+    summary: stripHtml(raw.summary ?? raw.description ?? ''),
+    readyInMinutes: toNumber(raw.readyInMinutes ?? raw.totalTime ?? raw.time),
+    servings: toNumber(raw.servings ?? raw.yield, 1),
+    healthScore: toNumber(raw.healthScore),
+    pricePerServing: toNumber(raw.pricePerServing ?? raw.price),
+    likes: toNumber(raw.aggregateLikes ?? raw.likes),
+    vegetarian: Boolean(raw.vegetarian),
+    vegan: Boolean(raw.vegan),
+    glutenFree: Boolean(raw.glutenFree),
+    dairyFree: Boolean(raw.dairyFree),
+    veryHealthy: Boolean(raw.veryHealthy),
+    veryPopular: Boolean(raw.veryPopular),
+    cheap: Boolean(raw.cheap),
+    sustainable: Boolean(raw.sustainable),
+    cuisines: toList(raw.cuisines),
+    dishTypes: toList(raw.dishTypes),
+    diets: toList(raw.diets),
+    ingredients,
+    steps,
+    equipment: [...new Set(steps.flatMap(step => step.equipment))],
+    sourceName: raw.sourceName ?? raw.creditsText ?? '',
+    sourceUrl: raw.sourceUrl ?? raw.spoonacularSourceUrl ?? '',
+    nutrition,
+    calories: findNutrient(nutrition, 'Calories')?.amount ?? null,
+    protein: findNutrient(nutrition, 'Protein')?.amount ?? null
+  }
+}
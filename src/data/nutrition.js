@@ -0,0 +1,73 @@
+// Nutrition per serving
+//
+// Normalized recipes carry `nutrition` (null when the source has none):
+//   { nutrients: [{ name, amount, unit, percentOfDailyNeeds }],
+//     caloricBreakdown: { protein, fat, carbs } }   // percent of calories
+// plus flat `calories` and `protein` numbers for filtering and sorting.
+
+// FDA daily values, used when a source reports amounts without a %DV
+export const DAILY_VALUES = {
+  Calories: { amount: 2000, unit: 'kcal' },
+  Fat: { amount: 78, unit: 'g' },
+  'Saturated Fat': { amount: 20, unit: 'g' },
+  Carbohydrates: { amount: 275, unit: 'g' },
+  Sugar: { amount: 50, unit: 'g' },
+  Fiber: { amount: 28, unit: 'g' },
+  Protein: { amount: 50, unit: 'g' },
+  Cholesterol: { amount: 300, unit: 'mg' },
+  Sodium: { amount: 2300, unit: 'mg' },
+  Potassium: { amount: 4700, unit: 'mg' },
+  Calcium: { amount: 1300, unit: 'mg' },
+  Iron: { amount: 18, unit: 'mg' },
+  Magnesium: { amount: 420, unit: 'mg' },
+  'Vitamin C': { amount: 90, unit: 'mg' },
+  'Vitamin D': { amount: 20, unit: 'µg' }
+}
+
+export const MACROS = [
+  { name: 'Protein', key: 'protein', kcalPerGram: 4, color: '#3b82f6' },
+  { name: 'Fat', key: 'fat', kcalPerGram: 9, color: '#f59e0b' },
+  { name: 'Carbohydrates', key: 'carbs', kcalPerGram: 4, color: '#22c55e' }
+]
+
+// Shown in the %DV bar chart, in this order, when the recipe reports them
+export const KEY_NUTRIENTS = [
+  'Calories', 'Protein', 'Fat', 'Saturated Fat', 'Carbohydrates', 'Sugar', 'Fiber',
+  'Sodium', 'Cholesterol', 'Potassium', 'Calcium', 'Iron', 'Magnesium', 'Vitamin C', 'Vitamin D'
+]
+
+export function findNutrient(nutrition, name) {
+  return nutrition?.nutrients.find(n => n.name === name) || null
+}
+
+export function percentOfDailyValue(name, amount, unit) {
+  const daily = DAILY_VALUES[name]
+  if (!daily || daily.unit !== unit) return null
+  return Math.round((amount / daily.amount) * 1000) / 10
+}
+
+// Share of calories from each macro; derived from grams when the source
+// does not report it
+export function caloricBreakdown(nutrients) {
+  const calories = MACROS.map(macro => (nutrients.find(n => n.name === macro.name)?.amount || 0) * macro.kcalPerGram)
+  const total = calories.reduce((sum, value) => sum + value, 0)
+  if (total === 0) return null
+  return Object.fromEntries(MACROS.map((macro, i) => [macro.key, Math.round((calories[i] / total) * 1000) / 10]))
+}
+
+export function macroChartData(nutrition) {
+  if (!nutrition?.caloricBreakdown) return []
+  return MACROS.map(macro => ({
+    name: macro.name,
+    value: nutrition.caloricBreakdown[macro.key] || 0,
+    grams: findNutrient(nutrition, macro.name)?.amount ?? null,
+    color: macro.color
+  })).filter(d => d.value > 0)
+}
+
+export function nutrientChartData(nutrition) {
+  return KEY_NUTRIENTS
+    .map(name => findNutrient(nutrition, name))
+    .filter(n => n && n.percentOfDailyNeeds !== null)
+    .map(n => ({ name: n.name, percent: n.percentOfDailyNeeds, amount: `${n.amount} ${n.unit}` }))
+}
@@ -0,0 +1,58 @@
+import { createStore } from './createStore'
+
+// Ingredients kept on hand, persisted locally, and the "what can I cook"
+// ranking used when the recipe source cannot search by ingredients itself.
+
+export const pantryStore = createStore('pantry', { items: [] })
+
+// Assumed to be in every kitchen, so never reported as missing
+export const PANTRY_STAPLES = ['water', 'salt', 'pepper', 'black pepper', 'olive oil', 'vegetable oil', 'oil', 'sugar']
+
+const cleanItem = (name) => name.toLowerCase().replace(/\s+/g, ' ').trim()
+
+// Accepts a single name or a comma separated list
+export function addPantryItems(text) {
+  const names = text.split(',').map(cleanItem).filter(Boolean)
+  pantryStore.setState(state => ({ items: [...new Set([...state.items, ...names])] }))
+}
+
+export function removePantryItem(name) {
+  pantryStore.setState(state => ({ items: state.items.filter(item => item !== name) }))
+}
+
+export function clearPantry() {
+  pantryStore.setState({ items: [] })
+}
+
+const singular = (word) => {
+  if (/(oes|ches|shes|xes|sses)$/.test(word)) return word.slice(0, -2)
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1)
+  return word
+}
+
+const words = (name) => cleanItem(name).split(/[^a-z]+/).filter(Boolean).map(singular)
+
+// Whole-word matching either way round: "onion" covers "red onions" and
+// "fresh mozzarella" covers "mozzarella", but "egg" does not cover "eggplant"
+const covers = (item, ingredientName) => {
+  const itemWords = words(item)
+  const nameWords = words(ingredientName)
+  if (itemWords.length === 0 || nameWords.length === 0) return false
+  return itemWords.every(w => nameWords.includes(w)) || nameWords.every(w => itemWords.includes(w))
+}
+
+// [{ recipe, used, missing }] for recipes that use at least one pantry item,
+// most pantry ingredients first, then fewest missing
+export function rankByPantry(recipes, items) {
+  if (items.length === 0) return []
+
+  return recipes
+    .map(recipe => {
+      const names = [...new Set(recipe.ingredients.map(i => cleanItem(i.name || i.original)))]
+      const used = names.filter(name => items.some(item => covers(item, name)))
+      const missing = names.filter(name => !used.includes(name) && !PANTRY_STAPLES.includes(name))
+      return { recipe, used, missing }
+    })
+    .filter(match => match.used.length > 0)
+    .sort((a, b) => b.used.length - a.used.length || a.missing.length - b.missing.length)
+}
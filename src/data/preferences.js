@@ -0,0 +1,39 @@
+import { createStore } from './createStore'
+
+// User settings and display preferences, persisted locally
+//
+//   units           'us' | 'metric'
+//   theme           'light' | 'dark' | 'system'
+//   apiKey          Spoonacular key entered at runtime; overrides VITE_APP_API_KEY
+//   sourceType      '' to use VITE_APP_RECIPE_SOURCE, or a source type to force
+//   sourceUrl       endpoint of the local/http sources; overrides VITE_APP_RECIPE_SOURCE_URL
+//   pageSize        recipes requested per page
+//   defaultFilters  Dashboard filter query string used when the URL has none
+
+export const PAGE_SIZES = [10, 25, 50, 100]
+
+export const THEMES = [
+  { value: 'light', label: '☀️ Light' },
+  { value: 'dark', label: '🌙 Dark' },
+  { value: 'system', label: '💻 System' }
+]
+
+export const DEFAULT_PREFERENCES = {
+  units: 'us',
+  theme: 'light',
+  apiKey: '',
+  sourceType: '',
+  sourceUrl: '',
+  pageSize: 50,
+  defaultFilters: ''
+}
+
+export const preferencesStore = createStore('preferences', DEFAULT_PREFERENCES)
+
+export function setPreference(key, value) {
+  preferencesStore.setState({ [key]: value })
+}
+
+export function resetPreferences() {
+  preferencesStore.setState(DEFAULT_PREFERENCES)
+}
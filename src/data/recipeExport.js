@@ -0,0 +1,52 @@
+import { toCsv } from '../utils/csv'
+
+// Dashboard exports: the filtered recipe table as CSV, and the whole view
+// (filters, stats, chart data and recipes) as JSON.
+
+const list = (values) => values.join('; ')
+const yesNo = (value) => value ? 'yes' : 'no'
+
+export const RECIPE_EXPORT_FIELDS = [
+  { label: 'ID', value: r => r.id },
+  { label: 'Title', value: r => r.title },
+  { label: 'Ready In (min)', value: r => r.readyInMinutes },
+  { label: 'Servings', value: r => r.servings },
+  { label: 'Health Score', value: r => r.healthScore },
+  { label: 'Price per Serving ($)', value: r => (r.pricePerServing / 100).toFixed(2) },
+  { label: 'Likes', value: r => r.likes },
+  { label: 'Calories (kcal)', value: r => r.calories ?? '' },
+  { label: 'Protein (g)', value: r => r.protein ?? '' },
+  { label: 'Vegetarian', value: r => yesNo(r.vegetarian) },
+  { label: 'Vegan', value: r => yesNo(r.vegan) },
+  { label: 'Gluten Free', value: r => yesNo(r.glutenFree) },
+  { label: 'Dairy Free', value: r => yesNo(r.dairyFree) },
+  { label: 'Cheap', value: r => yesNo(r.cheap) },
+  { label: 'Very Popular', value: r => yesNo(r.veryPopular) },
+  { label: 'Sustainable', value: r => yesNo(r.sustainable) },
+  { label: 'Cuisines', value: r => list(r.cuisines) },
+  { label: 'Dish Types', value: r => list(r.dishTypes) },
+  { label: 'Source URL', value: r => r.sourceUrl }
+]
+
+export function recipesToCsv(recipes) {
+  return toCsv([
+    RECIPE_EXPORT_FIELDS.map(field => field.label),
+    ...recipes.map(recipe => RECIPE_EXPORT_FIELDS.map(field => field.value(recipe)))
+  ])
+}
+
+// Ingredients and steps are left out to keep the file a summary of the view
+export function dashboardToJson({ query, stats, charts, recipes }) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    filters: query,
+    stats,
+    charts,
+    recipes: recipes.map(({ ingredients, steps, nutrition, ...recipe }) => ({
+      ...recipe,
+      ingredientCount: ingredients.length,
+      stepCount: steps.length,
+      caloricBreakdown: nutrition?.caloricBreakdown ?? null
+    }))
+  }, null, 2)
+}
@@ -0,0 +1,182 @@
+// Search options understood by Spoonacular's complexSearch. The same keys are
+// used in the /browse URL, so a search can be shared or revisited with
+// back/forward, and local sources apply them with filterRecipes below.
+
+export const CUISINES = [
+  'African', 'American', 'British', 'Cajun', 'Caribbean', 'Chinese', 'Eastern European',
+  'European', 'French', 'German', 'Greek', 'Indian', 'Irish', 'Italian', 'Japanese',
+  'Jewish', 'Korean', 'Latin American', 'Mediterranean', 'Mexican', 'Middle Eastern',
+  'Nordic', 'Southern', 'Spanish', 'Thai', 'Vietnamese'
+]
+
+export const MEAL_TYPES = [
+  'main course', 'side dish', 'dessert', 'appetizer', 'salad', 'bread', 'breakfast',
+  'soup', 'beverage', 'sauce', 'marinade', 'fingerfood', 'snack', 'drink'
+]
+
+export const DIETS = [
+  'gluten free', 'ketogenic', 'vegetarian', 'lacto-vegetarian', 'ovo-vegetarian',
+  'vegan', 'pescetarian', 'paleo', 'primal', 'whole30'
+]
+
+export const INTOLERANCES = [
+  'dairy', 'egg', 'gluten', 'grain', 'peanut', 'seafood', 'sesame', 'shellfish',
+  'soy', 'sulfite', 'tree nut', 'wheat'
+]
+
+export const SORT_OPTIONS = [
+  { value: '', label: 'Best match' },
+  { value: 'popularity', label: 'Popularity' },
+  { value: 'healthiness', label: 'Health score' },
+  { value: 'time', label: 'Cooking time' },
+  { value: 'price', label: 'Price' }
+]
+
+export const SEARCH_KEYS = ['query', 'cuisine', 'type', 'diet', 'intolerances', 'maxReadyTime', 'sort', 'sortDirection']
+
+// URLSearchParams -> plain search options, dropping anything unknown or empty
+export function readSearchParams(searchParams) {
+  const options = {}
+  SEARCH_KEYS.forEach(key => {
+    const value = searchParams.get(key)
+    if (value) options[key] = value
+  })
+  return options
+}
+
+const SORT_FIELDS = {
+  popularity: r => r.likes,
+  healthiness: r => r.healthScore,
+  time: r => r.readyInMinutes,
+  price: r => r.pricePerServing
+}
+
+// Diets without boolean flags fall back to the recipe's `diets` list. Recipes
+// only label 'lacto ovo vegetarian', so the lacto/ovo variants go by the flags
+// (whether a vegetarian recipe has eggs isn't flagged anywhere).
+const DIET_FLAGS = {
+  'gluten free': ['glutenFree'],
+  vegetarian: ['vegetarian'],
+  'lacto-vegetarian': ['vegetarian'],
+  'ovo-vegetarian': ['vegetarian', 'dairyFree'],
+  vegan: ['vegan']
+}
+
+// Spellings recipes use in their `diets` list for some diet parameters
+const DIET_ALIASES = {
+  pescetarian: 'pescatarian',
+  paleo: 'paleolithic',
+  whole30: 'whole 30'
+}
+
+const INTOLERANCE_FLAGS = {
+  dairy: 'dairyFree',
+  gluten: 'glutenFree',
+  wheat: 'glutenFree'
+}
+
+// Ingredient name fragments that signal an intolerance when a recipe has no
+// flag for it (or the flag is unknown because only a summary is loaded)
+export const INTOLERANCE_KEYWORDS = {
+  dairy: ['milk', 'cheese', 'butter', 'cream', 'yogurt', 'parmesan', 'mozzarella', 'pecorino', 'gruyere', 'cheddar'],
+  egg: ['egg', 'mayonnaise'],
+  gluten: ['flour', 'bread', 'pasta', 'spaghetti', 'dough', 'baguette', 'ciabatta', 'crouton', 'barley', 'rye', 'couscous'],
+  grain: ['flour', 'rice', 'oat', 'wheat', 'corn', 'quinoa', 'barley', 'rye', 'bread', 'pasta'],
+  peanut: ['peanut'],
+  seafood: ['fish', 'salmon', 'tuna', 'anchov', 'cod', 'shrimp', 'prawn', 'crab', 'lobster', 'mussel', 'clam', 'scallop'],
+  sesame: ['sesame', 'tahini'],
+  shellfish: ['shrimp', 'prawn', 'crab', 'lobster', 'mussel', 'clam', 'scallop', 'oyster'],
+  soy: ['soy', 'tofu', 'tamari', 'edamame', 'miso'],
+  sulfite: ['wine', 'vinegar', 'dried fruit'],
+  'tree nut': ['almond', 'walnut', 'cashew', 'pecan', 'pistachio', 'hazelnut', 'macadamia'],
+  wheat: ['flour', 'wheat', 'bread', 'pasta', 'spaghetti', 'dough', 'baguette', 'ciabatta', 'crouton', 'couscous']
+}
+
+const includesText = (list, text) => list.some(item => item.toLowerCase() === text.toLowerCase())
+
+export function matchesDiet(recipe, diet) {
+  if (DIET_FLAGS[diet]) return DIET_FLAGS[diet].every(flag => recipe[flag])
+  return includesText(recipe.diets, diet) || includesText(recipe.diets, DIET_ALIASES[diet] ?? diet)
+}
+
+// Ingredients containing any of `fragments`, matched by name
+export function ingredientsMatching(recipe, fragments) {
+  const wanted = fragments.map(f => f.toLowerCase().trim()).filter(Boolean)
+  return recipe.ingredients
+    .map(ingredient => ingredient.name || ingredient.original)
+    .filter(name => wanted.some(fragment => name.toLowerCase().includes(fragment)))
+}
+
+// What in the recipe conflicts with an intolerance: the ingredients that
+// contain it, or a generic reason when only the recipe's flag gives it away
+export function intoleranceConflicts(recipe, intolerance) {
+  const flag = INTOLERANCE_FLAGS[intolerance]
+  if (flag && recipe[flag]) return []
+  const found = ingredientsMatching(recipe, INTOLERANCE_KEYWORDS[intolerance] || [intolerance])
+  if (found.length > 0) return found
+  return flag ? [`not ${intolerance} free`] : []
+}
+
+// The diets and intolerances of `rules` that `searchOptions` did not already
+// search for. What a source returned for a search is trusted on those: it
+// knows its own diet labels, and its glutenFree/dairyFree flags are often
+// false for recipes it matched as free of gluten or dairy.
+export function unsearchedRules(rules, searchOptions = {}) {
+  const searched = (key) => (searchOptions[key] ? searchOptions[key].split(',') : [])
+  const diets = searched('diet')
+  const intolerances = searched('intolerances')
+  return {
+    ...rules,
+    diets: rules.diets.filter(diet => !diets.includes(diet)),
+    intolerances: rules.intolerances.filter(intolerance => !intolerances.includes(intolerance))
+  }
+}
+
+// Client-side equivalent of complexSearch for sources without a search API
+export function filterRecipes(recipes, { query, cuisine, type, diet, intolerances, excludeIngredients, maxReadyTime, sort, sortDirection } = {}) {
+  let results = recipes
+
+  if (query) {
+    const q = query.toLowerCase()
+    results = results.filter(r => r.title.toLowerCase().includes(q))
+  }
+
+  if (cuisine) {
+    const wanted = cuisine.split(',')
+    results = results.filter(r => wanted.some(c => includesText(r.cuisines, c)))
+  }
+
+  if (type) {
+    results = results.filter(r => includesText(r.dishTypes, type))
+  }
+
+  // Several diets are comma separated and must all match, as in complexSearch
+  if (diet) {
+    diet.split(',').forEach(d => {
+      results = results.filter(r => matchesDiet(r, d))
+    })
+  }
+
+  if (intolerances) {
+    intolerances.split(',').forEach(intolerance => {
+      results = results.filter(r => intoleranceConflicts(r, intolerance).length === 0)
+    })
+  }
+
+  if (excludeIngredients) {
+    const excluded = excludeIngredients.split(',')
+    results = results.filter(r => ingredientsMatching(r, excluded).length === 0)
+  }
+
+  if (maxReadyTime) {
+    results = results.filter(r => r.readyInMinutes <= Number(maxReadyTime))
+  }
+
+  if (SORT_FIELDS[sort]) {
+    const field = SORT_FIELDS[sort]
+    const direction = sortDirection === 'asc' ? 1 : -1
+    results = [...results].sort((a, b) => (field(a) - field(b)) * direction)
+  }
+
+  return results
+}
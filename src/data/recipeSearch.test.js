@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { matchesDiet, filterRecipes, intoleranceConflicts, unsearchedRules } from './recipeSearch.js'
+
+// Flags and `diets` labels as Spoonacular (and the mock source) return them
+const recipe = (overrides) => ({
+  title: 'Recipe',
+  vegetarian: false,
+  vegan: false,
+  glutenFree: false,
+  dairyFree: false,
+  diets: [],
+  ingredients: [],
+  ...overrides
+})
+
+const omelette = recipe({ title: 'Omelette', vegetarian: true, glutenFree: true, diets: ['gluten free', 'lacto ovo vegetarian'] })
+const lentilSoup = recipe({ title: 'Lentil Soup', vegetarian: true, vegan: true, dairyFree: true, diets: ['dairy free', 'lacto ovo vegetarian', 'vegan'] })
+const salmon = recipe({ title: 'Salmon', glutenFree: true, dairyFree: true, diets: ['gluten free', 'dairy free', 'paleolithic', 'pescatarian', 'ketogenic', 'whole 30'] })
+
+test('lacto- and ovo-vegetarian match lacto ovo vegetarian recipes', () => {
+  assert.equal(matchesDiet(omelette, 'lacto-vegetarian'), true)
+  assert.equal(matchesDiet(lentilSoup, 'ovo-vegetarian'), true)
+  assert.equal(matchesDiet(omelette, 'ovo-vegetarian'), false)
+  assert.equal(matchesDiet(salmon, 'lacto-vegetarian'), false)
+})
+
+test('diets without flags match the source spelling of their label', () => {
+  assert.equal(matchesDiet(salmon, 'pescetarian'), true)
+  assert.equal(matchesDiet(salmon, 'paleo'), true)
+  assert.equal(matchesDiet(salmon, 'whole30'), true)
+  assert.equal(matchesDiet(salmon, 'ketogenic'), true)
+  assert.equal(matchesDiet(omelette, 'ketogenic'), false)
+})
+
+test('filterRecipes keeps recipes matching every listed diet', () => {
+  const recipes = [omelette, lentilSoup, salmon]
+  assert.deepEqual(filterRecipes(recipes, { diet: 'lacto-vegetarian' }).map(r => r.title), ['Omelette', 'Lentil Soup'])
+  assert.deepEqual(filterRecipes(recipes, { diet: 'ovo-vegetarian,vegan' }).map(r => r.title), ['Lentil Soup'])
+  assert.deepEqual(filterRecipes(recipes, { diet: 'pescetarian' }).map(r => r.title), ['Salmon'])
+})
+
+test('rules the source searched for are not checked again', () => {
+  // Spoonacular returns this for intolerances=gluten with glutenFree false
+  const risotto = recipe({ title: 'Risotto', ingredients: [{ name: 'arborio rice' }] })
+  assert.deepEqual(intoleranceConflicts(risotto, 'gluten'), ['not gluten free'])
+
+  const rules = { diets: ['lacto-vegetarian', 'paleo'], intolerances: ['gluten', 'peanut'], dislikes: ['olives'] }
+  assert.deepEqual(unsearchedRules(rules, { diet: 'lacto-vegetarian', intolerances: 'gluten,peanut' }), {
+    diets: ['paleo'],
+    intolerances: [],
+    dislikes: ['olives']
+  })
+  assert.deepEqual(unsearchedRules(rules, {}), rules)
+})
@@ -0,0 +1,249 @@
+import { normalizeRecipe } from './normalizeRecipe'
+import { generateMockRecipes } from './mockRecipes'
+import { filterRecipes } from './recipeSearch'
+import { cachedFetchJson, cachedResponses, CACHE_TTL } from './requestCache'
+import { recordQuotaHeaders } from './apiStatus'
+import { rankByPantry } from './pantry'
+import { findSimilar } from './similarity'
+import { errorFromStatus, toRecipeSourceError } from './errors'
+
+// Recipe sources
+//
+// A source is a plain object:
+//   id, label        identifiers shown in the UI
+//   configError      why the source cannot be used as configured, or null
+//   searchRecipes({ offset, number, ...searchOptions }) -> { results, offset, totalResults }
+//                    (searchOptions: see SEARCH_KEYS in recipeSearch)
+//   getRecipe(id)    -> a single recipe, or null when it does not exist
+//   findByIngredients(ingredients, { number }) (optional)
+//                    -> [{ recipe, used, missing }] ranked by ingredients used;
+//                    without it, callers rank loaded recipes with rankByPantry
+//   getSimilarRecipes(id, { number }) (optional) -> related recipes; without
+//                    it, callers compare loaded recipes with findSimilar
+//   getCachedRecipes() (optional) -> recipes still in the response cache,
+//                    used instead of sample data when the source is offline
+// Every recipe a source returns is already normalized (see normalizeRecipe).
+// Failures are thrown as RecipeSourceError (see errors.js).
+
+export const SPOONACULAR_BASE = 'https://api.spoonacular.com/recipes'
+export const DEFAULT_PAGE_SIZE = 50
+
+const fetchJson = async (url) => {
+  let response
+  try {
+    response = await fetch(url)
+  } catch (err) {
+    throw toRecipeSourceError(err)
+  }
+  if (!response.ok) {
+    throw errorFromStatus(response.status)
+  }
+  return response.json()
+}
+
+const uniqueById = (recipes) => [...new Map(recipes.map(r => [r.id, r])).values()]
+
+const buildQuery = (params) => {
+  const search = new URLSearchParams()
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') search.set(key, value)
+  })
+  return search.toString()
+}
+
+// Spoonacular complexSearch / information endpoints
+export function createSpoonacularSource({ apiKey, baseUrl = SPOONACULAR_BASE }) {
+  return {
+    id: 'spoonacular',
+    label: 'Spoonacular',
+    configError: apiKey ? null : 'No API key found.',
+
+    async searchRecipes({ offset = 0, number = DEFAULT_PAGE_SIZE, ...params } = {}) {
+      const query = buildQuery({ ...params, apiKey, offset, number, addRecipeInformation: true, addRecipeNutrition: true })
+      const data = await cachedFetchJson(`${baseUrl}/complexSearch?${query}`, {
+        ttl: CACHE_TTL.search,
+        onResponse: recordQuotaHeaders
+      })
+      return {
+        results: (data.results || []).map(r => normalizeRecipe(r, 'spoonacular')),
+        offset: data.offset ?? offset,
+        totalResults: data.totalResults ?? 0
+      }
+    },
+
+    async getRecipe(id) {
+      const data = await cachedFetchJson(`${baseUrl}/${encodeURIComponent(id)}/information?${buildQuery({ apiKey, includeNutrition: true })}`, {
+        ttl: CACHE_TTL.recipe,
+        onResponse: recordQuotaHeaders
+      })
+      return normalizeRecipe(data, 'spoonacular')
+    },
+
+    async findByIngredients(ingredients, { number = DEFAULT_PAGE_SIZE } = {}) {
+      const query = buildQuery({ apiKey, ingredients: ingredients.join(','), number, ranking: 1, ignorePantry: true })
+      const data = await cachedFetchJson(`${baseUrl}/findByIngredients?${query}`, {
+        ttl: CACHE_TTL.search,
+        onResponse: recordQuotaHeaders
+      })
+      return data.map(item => ({
+        recipe: normalizeRecipe(item, 'spoonacular'),
+        used: (item.usedIngredients || []).map(i => i.name),
+        missing: (item.missedIngredients || []).map(i => i.name)
+      }))
+    },
+
+    // Summaries only (no ingredients); the endpoint returns an image type
+    // rather than a URL
+    async getSimilarRecipes(id, { number = 6 } = {}) {
+      const data = await cachedFetchJson(`${baseUrl}/${encodeURIComponent(id)}/similar?${buildQuery({ apiKey, number })}`, {
+        ttl: CACHE_TTL.recipe,
+        onResponse: recordQuotaHeaders
+      })
+      return data.map(item => normalizeRecipe({
+        ...item,
+        image: item.image || `https://img.spoonacular.com/recipes/${item.id}-312x231.${item.imageType || 'jpg'}`
+      }, 'spoonacular'))
+    },
+
+    getCachedRecipes() {
+      const searched = cachedResponses(`${baseUrl}/complexSearch`).flatMap(data => data.results || [])
+      return uniqueById(searched.map(r => normalizeRecipe(r, 'spoonacular')))
+    }
+  }
+}
+
+// In-memory or static JSON fixture. Either pass `recipes` directly or a `url`
+// to a JSON file holding an array of recipes (or `{ results: [...] }`).
+export function createLocalSource({ recipes, url, id = 'local', label = 'Local fixture' }) {
+  let loaded = null
+
+  const load = async () => {
+    if (!loaded) {
+      const raw = recipes ?? await fetchJson(url)
+      const list = Array.isArray(raw) ? raw : raw.results || []
+      loaded = list.map(r => normalizeRecipe(r, id))
+    }
+    return loaded
+  }
+
+  return {
+    id,
+    label,
+    configError: recipes || url ? null : 'No fixture file configured.',
+
+    async searchRecipes({ offset = 0, number = DEFAULT_PAGE_SIZE, ...options } = {}) {
+      const matches = filterRecipes(await load(), options)
+      return {
+        results: matches.slice(offset, offset + number),
+        offset,
+        totalResults: matches.length
+      }
+    },
+
+    async getRecipe(recipeId) {
+      const all = await load()
+      return all.find(r => r.id === String(recipeId)) || null
+    },
+
+    async findByIngredients(ingredients, { number = DEFAULT_PAGE_SIZE } = {}) {
+      return rankByPantry(await load(), ingredients).slice(0, number)
+    },
+
+    async getSimilarRecipes(recipeId, { number = 6 } = {}) {
+      const all = await load()
+      const recipe = all.find(r => r.id === String(recipeId))
+      return recipe ? findSimilar(recipe, all, number) : []
+    }
+  }
+}
+
+// Our own recipe service. Expects
+//   GET {baseUrl}/recipes?offset=&number=&query=&...  -> [...] or { results, totalResults }
+//   GET {baseUrl}/recipes/{id}                         -> recipe
+// with recipes in (roughly) the normalized shape.
+export function createHttpSource({ url }) {
+  const baseUrl = (url || '').replace(/\/+$/, '')
+
+  return {
+    id: 'http',
+    label: 'Custom endpoint',
+    configError: baseUrl ? null : 'No recipe service URL configured.',
+
+    async searchRecipes({ offset = 0, number = DEFAULT_PAGE_SIZE, ...params } = {}) {
+      const data = await cachedFetchJson(`${baseUrl}/recipes?${buildQuery({ ...params, offset, number })}`, { ttl: CACHE_TTL.search })
+      const list = Array.isArray(data) ? data : data.results || []
+      return {
+        results: list.map(r => normalizeRecipe(r, 'http')),
+        offset: data.offset ?? offset,
+        totalResults: data.totalResults ?? list.length
+      }
+    },
+
+    async getRecipe(id) {
+      const data = await cachedFetchJson(`${baseUrl}/recipes/${encodeURIComponent(id)}`, { ttl: CACHE_TTL.recipe })
+      return normalizeRecipe(data, 'http')
+    },
+
+    getCachedRecipes() {
+      const searched = cachedResponses(`${baseUrl}/recipes`)
+        .flatMap(data => Array.isArray(data) ? data : data.results || [data])
+      return uniqueById(searched.filter(r => r && r.id !== undefined).map(r => normalizeRecipe(r, 'http')))
+    }
+  }
+}
+
+// Seeded sample data; the same seed and count always yield the same recipes
+export function createMockSource({ seed, count } = {}) {
+  return createLocalSource({ recipes: generateMockRecipes({ seed, count }), id: 'mock', label: 'Sample data' })
+}
+
+const toPositiveInt = (value) => {
+  const number = parseInt(value, 10)
+  return Number.isFinite(number) && number > 0 ? number : undefined
+}
+
+export const SOURCE_TYPES = [
+  { value: 'spoonacular', label: 'Spoonacular API' },
+  { value: 'mock', label: 'Sample data' },
+  { value: 'local', label: 'Local JSON fixture' },
+  { value: 'http', label: 'Custom endpoint' }
+]
+
+// Checks a Spoonacular key with the smallest possible search. Resolves with
+// the quota left today; rejects with a RecipeSourceError (auth, quota, ...).
+export async function validateSpoonacularKey(apiKey, baseUrl = SPOONACULAR_BASE) {
+  let response
+  try {
+    response = await fetch(`${baseUrl}/complexSearch?${buildQuery({ apiKey, number: 1 })}`)
+  } catch (err) {
+    throw toRecipeSourceError(err)
+  }
+  recordQuotaHeaders(response)
+  if (!response.ok) throw errorFromStatus(response.status)
+  const quotaLeft = response.headers.get('X-API-Quota-Left')
+  return { quotaLeft: quotaLeft ? Number(quotaLeft) : null }
+}
+
+export function getSourceConfigFromEnv(env = import.meta.env) {
+  return {
+    type: env.VITE_APP_RECIPE_SOURCE || 'spoonacular',
+    apiKey: env.VITE_APP_API_KEY || '',
+    url: env.VITE_APP_RECIPE_SOURCE_URL || '',
+    mockSeed: toPositiveInt(env.VITE_APP_MOCK_SEED),
+    mockCount: toPositiveInt(env.VITE_APP_MOCK_COUNT)
+  }
+}
+
+export function createRecipeSource(config) {
+  switch (config.type) {
+    case 'local':
+      return createLocalSource({ url: config.url || '/recipes.json' })
+    case 'http':
+      return createHttpSource({ url: config.url })
+    case 'mock':
+      return createMockSource({ seed: config.mockSeed, count: config.mockCount })
+    case 'spoonacular':
+    default:
+      return createSpoonacularSource({ apiKey: config.apiKey })
+  }
+}
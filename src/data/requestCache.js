@@ -0,0 +1,105 @@
+import { readJson, writeJson, removeKey, listKeys } from './storage'
+import { updateApiStatus } from './apiStatus'
+import { errorFromStatus, toRecipeSourceError } from './errors'
+
+// Persistent response cache for API GET requests
+//
+// Entries are keyed by URL (minus the API key) and expire after a TTL.
+// Concurrent requests for the same URL share one fetch, and when the network
+// or quota fails an expired entry is served instead (offline mode).
+
+const CACHE_PREFIX = 'cache:'
+
+export const CACHE_TTL = {
+  search: 6 * 60 * 60 * 1000,
+  recipe: 24 * 60 * 60 * 1000
+}
+
+const inFlight = new Map()
+
+export function cacheKey(url) {
+  const parsed = new URL(url, 'http://localhost')
+  parsed.searchParams.delete('apiKey')
+  parsed.searchParams.sort()
+  return CACHE_PREFIX + parsed.origin + parsed.pathname + '?' + parsed.searchParams.toString()
+}
+
+export function readCache(key, { allowStale = false } = {}) {
+  const entry = readJson(key, null)
+  if (!entry) return null
+  if (!allowStale && entry.expiresAt < Date.now()) return null
+  return entry
+}
+
+// Drop the oldest entries until roughly `fraction` of the cache is gone
+const evictOldest = (fraction = 0.25) => {
+  const entries = listKeys(CACHE_PREFIX)
+    .map(key => ({ key, storedAt: readJson(key, {}).storedAt || 0 }))
+    .sort((a, b) => a.storedAt - b.storedAt)
+  entries.slice(0, Math.max(1, Math.ceil(entries.length * fraction))).forEach(({ key }) => removeKey(key))
+}
+
+export function writeCache(key, data, ttl) {
+  const entry = { data, storedAt: Date.now(), expiresAt: Date.now() + ttl }
+  if (!writeJson(key, entry)) {
+    evictOldest()
+    writeJson(key, entry)
+  }
+  updateApiStatus({ cachedResponses: cacheSize() })
+}
+
+// Every cached response whose key starts with `urlPrefix`, expired or not
+export function cachedResponses(urlPrefix = '') {
+  return listKeys(CACHE_PREFIX + urlPrefix)
+    .map(key => readJson(key, null))
+    .filter(Boolean)
+    .map(entry => entry.data)
+}
+
+export function clearCache() {
+  listKeys(CACHE_PREFIX).forEach(removeKey)
+  inFlight.clear()
+  updateApiStatus({ cachedResponses: 0, offline: false })
+}
+
+export function cacheSize() {
+  return listKeys(CACHE_PREFIX).length
+}
+
+// fetch + JSON with caching. `onResponse` sees every network response (used
+// for quota headers) before its status is checked.
+export async function cachedFetchJson(url, { ttl = CACHE_TTL.search, onResponse } = {}) {
+  const key = cacheKey(url)
+
+  const fresh = readCache(key)
+  if (fresh) return fresh.data
+
+  if (inFlight.has(key)) return inFlight.get(key)
+
+  const request = (async () => {
+    try {
+      const response = await fetch(url)
+      onResponse?.(response)
+      if (!response.ok) {
+        throw errorFromStatus(response.status)
+      }
+      const data = await response.json()
+      updateApiStatus({ offline: false })
+      writeCache(key, data, ttl)
+      return data
+    } catch (err) {
+      const stale = readCache(key, { allowStale: true })
+      if (stale) {
+        console.warn('Serving cached response after error:', err)
+        updateApiStatus({ offline: true })
+        return stale.data
+      }
+      throw toRecipeSourceError(err)
+    } finally {
+      inFlight.delete(key)
+    }
+  })()
+
+  inFlight.set(key, request)
+  return request
+}
@@ -0,0 +1,174 @@
+// Client-side full-text search over loaded recipes
+//
+// Every recipe field below is tokenized into an inverted index (term -> the
+// recipes and fields it appears in). A query token matches a term exactly, as
+// a prefix (so results show up while typing) or within a small edit distance
+// (typos). Recipes must match every query token and are ranked by the weight
+// of the fields they matched in.
+
+export const SEARCH_FIELDS = [
+  { key: 'title', label: 'Title', weight: 10, values: r => [r.title] },
+  { key: 'ingredients', label: 'Ingredients', weight: 5, values: r => r.ingredients.map(i => i.name || i.original) },
+  { key: 'cuisines', label: 'Cuisine', weight: 4, values: r => r.cuisines },
+  { key: 'dishTypes', label: 'Dish type', weight: 3, values: r => r.dishTypes },
+  { key: 'summary', label: 'Summary', weight: 1, values: r => [r.summary.replace(/<[^>]*>/g, ' ')] }
+]
+
+// How good a term match is, by kind
+const MATCH_QUALITY = { exact: 1, prefix: 0.7, typo1: 0.5, typo2: 0.3 }
+
+const WORD = /[\p{L}\p{N}]+/gu
+
+export const normalizeText = (text) => String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+
+export function tokenize(text) {
+  return normalizeText(text).match(WORD) || []
+}
+
+// Typos allowed for a query token of this length
+const maxEdits = (length) => length <= 3 ? 0 : length <= 6 ? 1 : 2
+
+// Levenshtein distance, giving up as soon as it must exceed `limit`
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > limit) return limit + 1
+    previous = current
+  }
+  return previous[b.length]
+}
+
+export function createSearchIndex(recipes) {
+  // term -> Map(recipe index -> Set of field keys)
+  const postings = new Map()
+
+  recipes.forEach((recipe, index) => {
+    SEARCH_FIELDS.forEach(field => {
+      field.values(recipe).forEach(value => {
+        tokenize(value).forEach(term => {
+          if (!postings.has(term)) postings.set(term, new Map())
+          const docs = postings.get(term)
+          if (!docs.has(index)) docs.set(index, new Set())
+          docs.get(index).add(field.key)
+        })
+      })
+    })
+  })
+
+  const vocabulary = [...postings.keys()]
+  const fieldWeight = Object.fromEntries(SEARCH_FIELDS.map(f => [f.key, f.weight]))
+  // Query token -> [{ term, quality }]; typing re-runs the same tokens a lot
+  const termCache = new Map()
+  let lastSearch = { query: null, results: [] }
+
+  const matchingTerms = (token) => {
+    if (termCache.has(token)) return termCache.get(token)
+
+    const limit = maxEdits(token.length)
+    const matches = []
+    vocabulary.forEach(term => {
+      if (term === token) {
+        matches.push({ term, quality: MATCH_QUALITY.exact })
+      } else if (term.startsWith(token)) {
+        matches.push({ term, quality: MATCH_QUALITY.prefix })
+      } else if (limit > 0) {
+        const distance = editDistance(token, term, limit)
+        if (distance <= limit) matches.push({ term, quality: distance === 1 ? MATCH_QUALITY.typo1 : MATCH_QUALITY.typo2 })
+      }
+    })
+
+    termCache.set(token, matches)
+    return matches
+  }
+
+  // [{ recipe, score, terms, fields }], best match first. `terms` are the
+  // indexed words that matched (for highlighting), `fields` where they were.
+  const search = (query) => {
+    if (query === lastSearch.query) return lastSearch.results
+    lastSearch = { query, results: rank(query) }
+    return lastSearch.results
+  }
+
+  const rank = (query) => {
+    const tokens = [...new Set(tokenize(query))]
+    if (tokens.length === 0) return recipes.map(recipe => ({ recipe, score: 0, terms: [], fields: [] }))
+
+    let hits = null
+    for (const token of tokens) {
+      // Best score of this token per recipe
+      const tokenHits = new Map()
+      matchingTerms(token).forEach(({ term, quality }) => {
+        postings.get(term).forEach((fields, index) => {
+          const weight = [...fields].reduce((sum, key) => sum + fieldWeight[key], 0)
+          const hit = tokenHits.get(index) || { score: 0, terms: [], fields: new Set() }
+          hit.score = Math.max(hit.score, quality * weight)
+          hit.terms.push(term)
+          fields.forEach(key => hit.fields.add(key))
+          tokenHits.set(index, hit)
+        })
+      })
+
+      if (hits === null) {
+        hits = tokenHits
+      } else {
+        // Every token has to match somewhere
+        const merged = new Map()
+        hits.forEach((hit, index) => {
+          const next = tokenHits.get(index)
+          if (!next) return
+          next.fields.forEach(key => hit.fields.add(key))
+          merged.set(index, { score: hit.score + next.score, terms: [...hit.terms, ...next.terms], fields: hit.fields })
+        })
+        hits = merged
+      }
+      if (hits.size === 0) break
+    }
+
+    return [...hits.entries()]
+      .sort(([a, x], [b, y]) => y.score - x.score || a - b)
+      .map(([index, hit]) => ({
+        recipe: recipes[index],
+        score: hit.score,
+        terms: [...new Set(hit.terms)],
+        fields: SEARCH_FIELDS.map(f => f.key).filter(key => hit.fields.has(key))
+      }))
+  }
+
+  return { search, size: recipes.length }
+}
+
+// Splits `text` into [{ text, match }] pieces, marking the words that are one
+// of the matched `terms`
+export function highlightSegments(text, terms) {
+  if (!text || terms.length === 0) return [{ text: text || '', match: false }]
+  const wanted = new Set(terms)
+  const segments = []
+  let last = 0
+
+  for (const { 0: word, index } of String(text).matchAll(WORD)) {
+    if (!wanted.has(normalizeText(word))) continue
+    if (index > last) segments.push({ text: text.slice(last, index), match: false })
+    segments.push({ text: word, match: true })
+    last = index + word.length
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false })
+  return segments
+}
+
+// First value of `fieldKey` on the recipe that contains a matched term, for
+// showing why a recipe matched outside its title
+export function matchedValue(recipe, fieldKey, terms) {
+  const field = SEARCH_FIELDS.find(f => f.key === fieldKey)
+  if (!field) return null
+  const wanted = new Set(terms)
+  return field.values(recipe).find(value => tokenize(value).some(token => wanted.has(token))) || null
+}
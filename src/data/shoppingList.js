@@ -0,0 +1,111 @@
+import { createStore } from './createStore'
+import { normalizeUnit, pluralizeUnit, unitDimension, toBaseAmount, fromBaseAmount, formatQuantity } from './units'
+import { toCsv } from '../utils/csv'
+
+// Shopping list: the recipes it was built from plus which items are checked
+// off. The item list itself is always derived from the recipes' ingredients.
+
+export const shoppingListStore = createStore('shopping-list', {
+  recipeIds: [],
+  recipes: {},
+  checked: {}
+})
+
+export function addRecipesToList(recipes) {
+  shoppingListStore.setState(state => ({
+    recipeIds: [...new Set([...state.recipeIds, ...recipes.map(r => r.id)])],
+    recipes: { ...state.recipes, ...Object.fromEntries(recipes.map(r => [r.id, r])) }
+  }))
+}
+
+export function removeRecipeFromList(recipeId) {
+  shoppingListStore.setState(state => {
+    const recipes = { ...state.recipes }
+    delete recipes[recipeId]
+    return { recipeIds: state.recipeIds.filter(id => id !== recipeId), recipes }
+  })
+}
+
+// Replace a snapshot with a fuller version (e.g. once ingredients are fetched)
+export function updateListRecipe(recipe) {
+  shoppingListStore.setState(state => state.recipes[recipe.id]
+    ? { recipes: { ...state.recipes, [recipe.id]: recipe } }
+    : {}
+  )
+}
+
+export function toggleItem(itemKey) {
+  shoppingListStore.setState(state => ({ checked: { ...state.checked, [itemKey]: !state.checked[itemKey] } }))
+}
+
+export function clearList() {
+  shoppingListStore.setState({ recipeIds: [], recipes: {}, checked: {} })
+}
+
+const cleanName = (name) => name.toLowerCase().replace(/\s+/g, ' ').trim()
+
+// Spoonacular aisles can list several options ("Baking;Spices and Seasonings")
+const primaryAisle = (aisle) => (aisle || '').split(';')[0].trim() || 'Other'
+
+// Merge ingredients across recipes. Quantities of the same ingredient are
+// summed per dimension (mass, volume, count) and shown in `system` units.
+export function buildShoppingList(recipes, system = 'us') {
+  const items = new Map()
+
+  recipes.forEach(recipe => {
+    recipe.ingredients.forEach(ingredient => {
+      const name = cleanName(ingredient.name || ingredient.original)
+      if (!name) return
+
+      const dimension = unitDimension(ingredient.unit)
+      const unit = dimension === 'count' ? normalizeUnit(ingredient.unit) : ''
+      const key = `${name}|${dimension}|${unit}`
+
+      if (!items.has(key)) {
+        items.set(key, { key, name, aisle: primaryAisle(ingredient.aisle), dimension, unit, amount: 0, recipes: [] })
+      }
+
+      const item = items.get(key)
+      item.amount += dimension === 'count' ? ingredient.amount : toBaseAmount(ingredient.amount, ingredient.unit)
+      if (!item.recipes.includes(recipe.title)) item.recipes.push(recipe.title)
+    })
+  })
+
+  return [...items.values()]
+    .map(item => {
+      const display = item.dimension === 'count'
+        ? { amount: item.amount, unit: pluralizeUnit(item.unit, item.amount) }
+        : fromBaseAmount(item.amount, item.dimension, system)
+      return { ...item, quantity: formatQuantity(display.amount, display.unit) }
+    })
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+// { aisle: [items] } with aisles sorted alphabetically and "Other" last
+export function groupByAisle(items) {
+  const groups = {}
+  items.forEach(item => {
+    if (!groups[item.aisle]) groups[item.aisle] = []
+    groups[item.aisle].push(item)
+  })
+  return Object.fromEntries(
+    Object.entries(groups).sort(([a], [b]) => (a === 'Other') - (b === 'Other') || a.localeCompare(b))
+  )
+}
+
+export function shoppingListToText(items, checked = {}) {
+  return Object.entries(groupByAisle(items))
+    .map(([aisle, aisleItems]) => [
+      aisle.toUpperCase(),
+      ...aisleItems.map(item => `[${checked[item.key] ? 'x' : ' '}] ${item.quantity ? `${item.quantity} ` : ''}${item.name}`)
+    ].join('\n'))
+    .join('\n\n')
+}
+
+export function shoppingListToCsv(items, checked = {}) {
+  const header = ['Aisle', 'Item', 'Quantity', 'Recipes', 'Checked']
+  const rows = Object.entries(groupByAisle(items)).flatMap(([aisle, aisleItems]) =>
+    aisleItems.map(item => [aisle, item.name, item.quantity, item.recipes.join('; '), checked[item.key] ? 'yes' : 'no'])
+  )
+  return toCsv([header, ...rows])
+}
@@ -0,0 +1,103 @@
+import { createStore } from './createStore'
+
+// Local recipe similarity, used when the source has no "similar recipes"
+// endpoint, and the "recommended for you" ranking built on it.
+
+const DIET_KEYS = ['vegetarian', 'vegan', 'glutenFree', 'dairyFree']
+
+// Share of the score each aspect contributes; they add up to 1
+const WEIGHTS = { ingredients: 0.35, categories: 0.2, diet: 0.2, time: 0.125, price: 0.125 }
+
+const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 0
+  let shared = 0
+  a.forEach(value => { if (b.has(value)) shared++ })
+  return shared / (a.size + b.size - shared)
+}
+
+// 1 when equal, falling towards 0 as the values drift apart
+const closeness = (x, y) => {
+  const largest = Math.max(x, y)
+  return largest > 0 ? 1 - Math.abs(x - y) / largest : 1
+}
+
+const ingredientNames = (recipe) => new Set(recipe.ingredients.map(i => (i.name || i.original || '').toLowerCase()).filter(Boolean))
+const categories = (recipe) => new Set([...recipe.cuisines, ...recipe.dishTypes].map(c => c.toLowerCase()))
+
+// 0..1; recipes without ingredients (summaries) are compared on the rest
+export function recipeSimilarity(a, b) {
+  const diet = DIET_KEYS.filter(key => a[key] === b[key]).length / DIET_KEYS.length
+  return (
+    WEIGHTS.ingredients * jaccard(ingredientNames(a), ingredientNames(b)) +
+    WEIGHTS.categories * jaccard(categories(a), categories(b)) +
+    WEIGHTS.diet * diet +
+    WEIGHTS.time * closeness(a.readyInMinutes, b.readyInMinutes) +
+    WEIGHTS.price * closeness(a.pricePerServing, b.pricePerServing)
+  )
+}
+
+export function findSimilar(recipe, candidates, number = 6) {
+  return candidates
+    .filter(candidate => candidate.id !== recipe.id)
+    .map(candidate => ({ recipe: candidate, score: recipeSimilarity(recipe, candidate) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, number)
+    .map(match => match.recipe)
+}
+
+// Recently viewed recipes, newest first, as slim snapshots of the fields the
+// similarity score needs
+export const MAX_VIEWED = 20
+
+export const viewHistoryStore = createStore('view-history', { viewed: [] })
+
+const snapshot = (recipe) => ({
+  id: recipe.id,
+  title: recipe.title,
+  readyInMinutes: recipe.readyInMinutes,
+  pricePerServing: recipe.pricePerServing,
+  cuisines: recipe.cuisines,
+  dishTypes: recipe.dishTypes,
+  ingredients: recipe.ingredients.map(i => ({ name: i.name })),
+  ...Object.fromEntries(DIET_KEYS.map(key => [key, recipe[key]]))
+})
+
+export function recordView(recipe) {
+  viewHistoryStore.setState(state => ({
+    viewed: [snapshot(recipe), ...state.viewed.filter(r => r.id !== recipe.id)].slice(0, MAX_VIEWED)
+  }))
+}
+
+export function clearViewHistory() {
+  viewHistoryStore.setState({ viewed: [] })
+}
+
+// Favorites count double; views fade with age (the 10th most recent view
+// counts half as much as the latest)
+const FAVORITE_WEIGHT = 2
+const viewWeight = (index) => 1 / (1 + index / 10)
+
+// [{ recipe, score, because }] from `candidates`, skipping the seeds
+// themselves. `because` is the seed that matched best, as { title, kind }
+// with kind 'favorite' or 'viewed'.
+export function recommendRecipes(candidates, { viewed = [], favorites = [] }, number = 6) {
+  const seeds = [
+    ...favorites.map(recipe => ({ recipe, kind: 'favorite', weight: FAVORITE_WEIGHT })),
+    ...viewed.map((recipe, index) => ({ recipe, kind: 'viewed', weight: viewWeight(index) }))
+  ]
+  if (seeds.length === 0) return []
+  const seen = new Set(seeds.map(seed => seed.recipe.id))
+
+  return candidates
+    .filter(candidate => !seen.has(candidate.id))
+    .map(candidate => {
+      let best = { score: 0, because: null }
+      seeds.forEach(({ recipe, kind, weight }) => {
+        const score = weight * recipeSimilarity(candidate, recipe)
+        if (score > best.score) best = { score, because: { title: recipe.title, kind } }
+      })
+      return { recipe: candidate, ...best }
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, number)
+}
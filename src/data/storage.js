@@ -0,0 +1,45 @@
+// Small JSON wrapper around localStorage. Every key is namespaced so the app
+// can find (and clear) its own entries.
+
+export const STORAGE_PREFIX = 'recipe-hub:'
+
+export function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key)
+    return raw === null ? fallback : JSON.parse(raw)
+  } catch {
+    return fallback
+  }
+}
+
+// Returns false when the value could not be stored (quota full, private mode)
+export function writeJson(key, value) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value))
+    return true
+  } catch {
+    return false
+  }
+}
+
+export function removeKey(key) {
+  try {
+    localStorage.removeItem(STORAGE_PREFIX + key)
+  } catch {
+    // storage unavailable; nothing to remove
+  }
+}
+
+// Keys (without the prefix) that start with `prefix`
+export function listKeys(prefix = '') {
+  const keys = []
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i)
+      if (key && key.startsWith(STORAGE_PREFIX + prefix)) keys.push(key.slice(STORAGE_PREFIX.length))
+    }
+  } catch {
+    // storage unavailable
+  }
+  return keys
+}
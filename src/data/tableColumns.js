@@ -0,0 +1,80 @@
+import { createStore } from './createStore'
+import { recipeRatings } from './cookingLog'
+
+// Dashboard recipe table columns. `sortValue` drives click-to-sort; the cells
+// themselves are rendered by RecipeTable.
+
+export const TABLE_COLUMNS = [
+  { key: 'recipe', label: 'Recipe', sortValue: r => r.title.toLowerCase(), required: true },
+  { key: 'time', label: 'Time', sortValue: r => r.readyInMinutes },
+  { key: 'servings', label: 'Servings', sortValue: r => r.servings },
+  { key: 'health', label: 'Health Score', sortValue: r => r.healthScore },
+  { key: 'diets', label: 'Diet Tags', sortValue: r => [r.vegetarian, r.vegan, r.glutenFree].filter(Boolean).length },
+  { key: 'price', label: 'Price / Serving', sortValue: r => r.pricePerServing },
+  { key: 'likes', label: 'Likes', sortValue: r => r.likes },
+  { key: 'calories', label: 'Calories', sortValue: r => r.calories ?? -1 },
+  { key: 'protein', label: 'Protein', sortValue: r => r.protein ?? -1 },
+  { key: 'popular', label: 'Popular', sortValue: r => Number(r.veryPopular) },
+  { key: 'sustainable', label: 'Sustainable', sortValue: r => Number(r.sustainable) },
+  { key: 'rating', label: 'My Rating', sortValue: r => recipeRatings().get(r.id)?.average ?? -1 }
+]
+
+export const DEFAULT_COLUMNS = ['recipe', 'time', 'servings', 'health', 'diets']
+
+export const tableLayoutStore = createStore('table-layout', {
+  columns: DEFAULT_COLUMNS,
+  sort: []
+})
+
+export function visibleColumns(columnKeys) {
+  return TABLE_COLUMNS.filter(column => column.required || columnKeys.includes(column.key))
+}
+
+export function toggleColumn(key) {
+  tableLayoutStore.setState(state => {
+    const visible = state.columns.includes(key)
+    return {
+      columns: visible ? state.columns.filter(k => k !== key) : [...state.columns, key],
+      sort: visible ? state.sort.filter(s => s.key !== key) : state.sort
+    }
+  })
+}
+
+export function resetColumns() {
+  tableLayoutStore.setState({ columns: DEFAULT_COLUMNS, sort: [] })
+}
+
+// Plain click sorts by that column alone (asc -> desc -> unsorted); with
+// `additive` (shift-click) the column is added to or cycled within the sort.
+export function nextSort(sort, key, additive) {
+  const existing = sort.find(s => s.key === key)
+  const cycled = !existing
+    ? { key, direction: 'asc' }
+    : existing.direction === 'asc' ? { key, direction: 'desc' } : null
+
+  if (!additive) return cycled ? [cycled] : []
+  if (!existing) return [...sort, cycled]
+  return cycled ? sort.map(s => s.key === key ? cycled : s) : sort.filter(s => s.key !== key)
+}
+
+export function setSort(key, additive) {
+  tableLayoutStore.setState(state => ({ sort: nextSort(state.sort, key, additive) }))
+}
+
+export function sortRecipes(recipes, sort) {
+  if (sort.length === 0) return recipes
+
+  const columns = sort
+    .map(s => ({ ...s, column: TABLE_COLUMNS.find(c => c.key === s.key) }))
+    .filter(s => s.column)
+
+  return [...recipes].sort((a, b) => {
+    for (const { column, direction } of columns) {
+      const x = column.sortValue(a)
+      const y = column.sortValue(b)
+      if (x < y) return direction === 'asc' ? -1 : 1
+      if (x > y) return direction === 'asc' ? 1 : -1
+    }
+    return 0
+  })
+}
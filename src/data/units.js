@@ -0,0 +1,151 @@
+// Cooking units: alias normalization, conversion between measurement systems
+// and friendly quantity formatting. Mass is based on grams, volume on
+// millilitres; anything else (cloves, pinches, pieces) is a count unit and is
+// never converted.
+
+const UNITS = {
+  g: { dimension: 'mass', factor: 1, aliases: ['g', 'gram', 'grams', 'gr', 'grs'] },
+  kg: { dimension: 'mass', factor: 1000, aliases: ['kg', 'kilogram', 'kilograms', 'kgs'] },
+  oz: { dimension: 'mass', factor: 28.3495, aliases: ['oz', 'ounce', 'ounces'] },
+  lb: { dimension: 'mass', factor: 453.592, aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+  ml: { dimension: 'volume', factor: 1, aliases: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+  l: { dimension: 'volume', factor: 1000, aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+  tsp: { dimension: 'volume', factor: 4.92892, aliases: ['tsp', 'tsps', 'teaspoon', 'teaspoons', 't'] },
+  tbsp: { dimension: 'volume', factor: 14.7868, aliases: ['tbsp', 'tbsps', 'tablespoon', 'tablespoons', 'tbs', 'tbl', 'T'] },
+  'fl oz': { dimension: 'volume', factor: 29.5735, aliases: ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'] },
+  cup: { dimension: 'volume', factor: 236.588, aliases: ['cup', 'cups', 'c'] },
+  pint: { dimension: 'volume', factor: 473.176, aliases: ['pint', 'pints', 'pt'] },
+  quart: { dimension: 'volume', factor: 946.353, aliases: ['quart', 'quarts', 'qt'] },
+  gallon: { dimension: 'volume', factor: 3785.41, aliases: ['gallon', 'gallons', 'gal'] }
+}
+
+const ALIASES = Object.fromEntries(
+  Object.entries(UNITS).flatMap(([unit, { aliases }]) => aliases.map(alias => [alias, unit]))
+)
+
+// Preferred display units per system, largest first
+const DISPLAY_UNITS = {
+  metric: { mass: ['kg', 'g'], volume: ['l', 'ml'] },
+  us: { mass: ['lb', 'oz'], volume: ['cup', 'tbsp', 'tsp'] }
+}
+
+export const UNIT_SYSTEMS = [
+  { value: 'us', label: 'US' },
+  { value: 'metric', label: 'Metric' }
+]
+
+// Canonical unit key ("Tablespoons" -> "tbsp"); unknown units are lower-cased
+// and singular ("cloves" -> "clove"). "T" (tablespoon) and "t" (teaspoon) are
+// told apart by case.
+export function normalizeUnit(unit = '') {
+  const trimmed = unit.trim().replace(/\.$/, '')
+  const known = ALIASES[trimmed] || ALIASES[trimmed.toLowerCase()]
+  if (known) return known
+  return trimmed.toLowerCase().replace(/(ch|sh|x)es$/, '$1').replace(/([^s])s$/, '$1')
+}
+
+// Plural form of a count unit for display ("clove" -> "cloves")
+export function pluralizeUnit(unit, amount) {
+  if (!unit || amount <= 1 || UNITS[unit] || unit.endsWith('s')) return unit
+  return /(ch|sh|x)$/.test(unit) ? `${unit}es` : `${unit}s`
+}
+
+export function unitDimension(unit) {
+  return UNITS[normalizeUnit(unit)]?.dimension || 'count'
+}
+
+// Amount in the dimension's base unit (g or ml), or null for count units
+export function toBaseAmount(amount, unit) {
+  const definition = UNITS[normalizeUnit(unit)]
+  return definition ? amount * definition.factor : null
+}
+
+// Express a base amount (g or ml) in the most readable unit of `system`
+export function fromBaseAmount(baseAmount, dimension, system = 'us') {
+  const candidates = DISPLAY_UNITS[system]?.[dimension]
+  if (!candidates) return { amount: baseAmount, unit: '' }
+
+  const unit = candidates.find(u => baseAmount / UNITS[u].factor >= 1) || candidates[candidates.length - 1]
+  return { amount: baseAmount / UNITS[unit].factor, unit }
+}
+
+// Convert a quantity into `system`, leaving count units and units already in
+// that system untouched
+export function convertQuantity(amount, unit, system) {
+  const key = normalizeUnit(unit)
+  const definition = UNITS[key]
+  if (!definition || DISPLAY_UNITS[system][definition.dimension].includes(key)) {
+    return { amount, unit }
+  }
+  return fromBaseAmount(amount * definition.factor, definition.dimension, system)
+}
+
+const FRACTIONS = [[0.125, '⅛'], [0.25, '¼'], [0.333, '⅓'], [0.5, '½'], [0.667, '⅔'], [0.75, '¾']]
+
+// 1.5 -> "1½", 0.333 -> "⅓", 12.34 -> "12.3"
+export function formatAmount(amount) {
+  if (!amount) return ''
+  if (amount >= 10) return String(Math.round(amount * 10) / 10)
+
+  const whole = Math.floor(amount)
+  const rest = amount - whole
+  const fraction = FRACTIONS.find(([value]) => Math.abs(rest - value) < 0.04)
+
+  if (rest < 0.04) return String(whole)
+  if (rest > 0.96) return String(whole + 1)
+  if (fraction) return `${whole || ''}${fraction[1]}`
+  return String(Math.round(amount * 100) / 100)
+}
+
+export function formatQuantity(amount, unit) {
+  return [formatAmount(amount), unit].filter(Boolean).join(' ')
+}
+
+// Display quantity for a recipe ingredient scaled by `scale`. Uses the
+// provider's own measures for the system when present, converting otherwise.
+export function ingredientQuantity(ingredient, scale = 1, system = 'us') {
+  const measure = ingredient.measures?.[system]
+  const base = measure && measure.amount ? measure : { amount: ingredient.amount, unit: ingredient.unit }
+  if (!base.amount) return ''
+
+  const converted = convertQuantity(base.amount * scale, base.unit, system)
+  const unit = unitDimension(converted.unit) === 'count'
+    ? pluralizeUnit(normalizeUnit(converted.unit), converted.amount)
+    : converted.unit
+  return formatQuantity(converted.amount, unit)
+}
+
+// Count units recognized when parsing free-text ingredient lines
+const COUNT_UNITS = [
+  'clove', 'cloves', 'can', 'cans', 'pinch', 'pinches', 'slice', 'slices', 'piece', 'pieces',
+  'bunch', 'bunches', 'handful', 'handfuls', 'sprig', 'sprigs', 'stick', 'sticks', 'dash', 'dashes',
+  'package', 'packages', 'jar', 'jars', 'head', 'heads'
+]
+
+const VULGAR_FRACTIONS = { '½': 0.5, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 0.25, '¾': 0.75, '⅛': 0.125 }
+
+const parseAmount = (text) => text.trim().split(/\s+/).reduce((sum, part) => {
+  const vulgar = Object.keys(VULGAR_FRACTIONS).find(f => part.endsWith(f))
+  if (vulgar) return sum + (parseFloat(part) || 0) + VULGAR_FRACTIONS[vulgar]
+  const [numerator, denominator] = part.split('/')
+  return sum + (denominator ? Number(numerator) / Number(denominator) : Number(part))
+}, 0)
+
+// "1 1/2 cups flour, sifted" -> { amount: 1.5, unit: 'cups', name: 'flour, sifted', original }.
+// Ranges ("2-3 cloves") keep their lower end; lines without an amount keep
+// the whole text as the name.
+export function parseIngredientLine(line) {
+  const original = line.trim()
+  const match = original.match(/^((?:\d+\/\d+|\d+(?:[.,]\d+)?[½⅓⅔¼¾⅛]?|[½⅓⅔¼¾⅛])(?:\s+\d+\/\d+)?)(?:\s*(?:-|–|to)\s*[\d./½⅓⅔¼¾⅛]+)?\s*(.*)$/)
+  if (!match) return { amount: 0, unit: '', name: original, original }
+
+  const amount = Math.round(parseAmount(match[1].replace(',', '.')) * 1000) / 1000
+  let rest = match[2]
+  let unit = ''
+  const unitMatch = rest.match(/^(fl\.? oz|fluid ounces?|[a-zA-Z]+)\.?(?:\s+of)?\s+(.*)$/)
+  if (unitMatch && (ALIASES[unitMatch[1]] || ALIASES[unitMatch[1].toLowerCase()] || COUNT_UNITS.includes(unitMatch[1].toLowerCase()))) {
+    unit = unitMatch[1]
+    rest = unitMatch[2]
+  }
+  return { amount: Number.isFinite(amount) ? amount : 0, unit, name: rest.trim() || original, original }
+}
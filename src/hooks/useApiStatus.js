@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react'
+import { getApiStatus, subscribeApiStatus } from '../data/apiStatus'
+
+export function useApiStatus() {
+  return useSyncExternalStore(subscribeApiStatus, getApiStatus)
+}
@@ -0,0 +1,6 @@
+import { collectionsStore } from '../data/collections'
+import { useStore } from './useStore'
+
+export function useCollections() {
+  return useStore(collectionsStore)
+}
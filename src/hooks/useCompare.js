@@ -0,0 +1,6 @@
+import { compareStore } from '../data/compare'
+import { useStore } from './useStore'
+
+export function useCompare() {
+  return useStore(compareStore)
+}
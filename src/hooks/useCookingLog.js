@@ -0,0 +1,6 @@
+import { cookingLogStore } from '../data/cookingLog'
+import { useStore } from './useStore'
+
+export function useCookingLog() {
+  return useStore(cookingLogStore)
+}
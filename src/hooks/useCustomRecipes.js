@@ -0,0 +1,6 @@
+import { customRecipesStore } from '../data/customRecipes'
+import { useStore } from './useStore'
+
+export function useCustomRecipes() {
+  return useStore(customRecipesStore)
+}
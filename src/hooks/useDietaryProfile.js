@@ -0,0 +1,6 @@
+import { dietaryProfileStore } from '../data/dietaryProfile'
+import { useStore } from './useStore'
+
+export function useDietaryProfile() {
+  return useStore(dietaryProfileStore)
+}
@@ -0,0 +1,25 @@
+import { useEffect, useRef } from 'react'
+
+// Calls onReach whenever the returned ref's element scrolls into view.
+export function useInfiniteScroll(onReach, enabled = true) {
+  const ref = useRef(null)
+  const callbackRef = useRef(onReach)
+
+  useEffect(() => {
+    callbackRef.current = onReach
+  }, [onReach])
+
+  useEffect(() => {
+    const node = ref.current
+    if (!enabled || !node || typeof IntersectionObserver === 'undefined') return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) callbackRef.current()
+    }, { rootMargin: '200px' })
+
+    observer.observe(node)
+    return () => observer.disconnect()
+  }, [enabled])
+
+  return ref
+}
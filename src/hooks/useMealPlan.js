@@ -0,0 +1,6 @@
+import { mealPlanStore } from '../data/mealPlan'
+import { useStore } from './useStore'
+
+export function useMealPlan() {
+  return useStore(mealPlanStore)
+}
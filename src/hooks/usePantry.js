@@ -0,0 +1,6 @@
+import { pantryStore } from '../data/pantry'
+import { useStore } from './useStore'
+
+export function usePantry() {
+  return useStore(pantryStore)
+}
@@ -0,0 +1,6 @@
+import { preferencesStore } from '../data/preferences'
+import { useStore } from './useStore'
+
+export function usePreferences() {
+  return useStore(preferencesStore)
+}
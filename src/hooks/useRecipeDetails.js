@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react'
+
+// Returns the full recipe for `id`, fetching it from the source when the
+// summary we already hold is missing or lacks ingredients/instructions.
+export function useRecipeDetails(source, id, summary) {
+  const [details, setDetails] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Custom recipes are complete as stored; no source knows them
+  const needsDetails = !summary || (summary.ingredients.length === 0 && summary.source !== 'custom')
+
+  useEffect(() => {
+    if (!needsDetails) return
+    let cancelled = false
+
+    const fetchDetails = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const recipe = await source.getRecipe(id)
+        if (!cancelled) setDetails(recipe)
+      } catch (err) {
+        console.error('API Error:', err)
+        if (!cancelled) setError(err.message)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchDetails()
+    return () => { cancelled = true }
+  }, [source, id, needsDetails])
+
+  const recipe = details && details.id === id ? details : summary || null
+
+  return { recipe, loading: needsDetails && loading, error }
+}
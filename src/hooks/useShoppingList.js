@@ -0,0 +1,6 @@
+import { shoppingListStore } from '../data/shoppingList'
+import { useStore } from './useStore'
+
+export function useShoppingList() {
+  return useStore(shoppingListStore)
+}
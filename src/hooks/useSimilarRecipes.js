@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react'
+import { findSimilar } from '../data/similarity'
+
+const SIMILAR_COUNT = 6
+
+// Recipes related to `recipe`: from the source when it can tell, otherwise
+// (or when that request fails or comes back empty) the closest of the loaded
+// `recipes`
+export function useSimilarRecipes(source, recipe, recipes) {
+  const [fetched, setFetched] = useState({ id: null, results: [] })
+  const recipeId = recipe?.id
+  const canFetch = Boolean(recipeId && source.getSimilarRecipes && recipe.source !== 'custom')
+
+  useEffect(() => {
+    if (!canFetch) return
+    let cancelled = false
+
+    const fetchSimilar = async () => {
+      try {
+        const results = await source.getSimilarRecipes(recipeId, { number: SIMILAR_COUNT })
+        if (!cancelled) setFetched({ id: recipeId, results })
+      } catch (err) {
+        console.error('API Error:', err)
+        if (!cancelled) setFetched({ id: recipeId, results: [] })
+      }
+    }
+
+    fetchSimilar()
+    return () => { cancelled = true }
+  }, [source, recipeId, canFetch])
+
+  if (!recipe) return { similar: [], loading: false, local: false }
+  if (canFetch && fetched.id !== recipe.id) return { similar: [], loading: true, local: false }
+  if (fetched.id === recipe.id && fetched.results.length > 0) return { similar: fetched.results, loading: false, local: false }
+
+  return { similar: findSimilar(recipe, recipes, SIMILAR_COUNT), loading: false, local: true }
+}
@@ -0,0 +1,5 @@
+import { useSyncExternalStore } from 'react'
+
+export function useStore(store) {
+  return useSyncExternalStore(store.subscribe, store.getState)
+}
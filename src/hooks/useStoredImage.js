@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react'
+import { isStoredImage, cachedImageUrl, loadImage } from '../data/imageStore'
+
+// URL to show for an image src: plain URLs pass through, 'stored-image:'
+// references resolve to an object URL. Undefined while loading, null when the
+// stored image is missing.
+export function useStoredImage(src) {
+  const stored = isStoredImage(src)
+  const [loaded, setLoaded] = useState({ src: null, url: undefined })
+
+  useEffect(() => {
+    if (!stored || cachedImageUrl(src) !== undefined) return
+    let cancelled = false
+    loadImage(src).then(url => {
+      if (!cancelled) setLoaded({ src, url })
+    })
+    return () => { cancelled = true }
+  }, [src, stored])
+
+  if (!stored) return src
+  const cached = cachedImageUrl(src)
+  if (cached !== undefined) return cached
+  return loaded.src === src ? loaded.url : undefined
+}
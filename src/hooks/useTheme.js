@@ -0,0 +1,19 @@
+import { useEffect } from 'react'
+
+// Applies the theme preference as data-theme on <html>; 'system' follows the
+// OS setting and keeps following it while the page is open.
+export function useTheme(theme) {
+  useEffect(() => {
+    const root = document.documentElement
+    if (theme !== 'system') {
+      root.dataset.theme = theme
+      return
+    }
+
+    const query = window.matchMedia('(prefers-color-scheme: dark)')
+    const apply = () => { root.dataset.theme = query.matches ? 'dark' : 'light' }
+    apply()
+    query.addEventListener('change', apply)
+    return () => query.removeEventListener('change', apply)
+  }, [theme])
+}
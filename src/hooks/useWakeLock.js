@@ -0,0 +1,43 @@
+import { useState, useEffect } from 'react'
+
+// Keeps the screen on while `enabled`. Browsers drop the lock when the tab is
+// hidden, so it is requested again when the page becomes visible.
+export function useWakeLock(enabled = true) {
+  const supported = typeof navigator !== 'undefined' && 'wakeLock' in navigator
+  const [active, setActive] = useState(false)
+
+  useEffect(() => {
+    if (!supported || !enabled) return
+    let sentinel = null
+    let released = false
+
+    const request = async () => {
+      try {
+        sentinel = await navigator.wakeLock.request('screen')
+        if (released) {
+          sentinel.release()
+          return
+        }
+        setActive(true)
+        sentinel.addEventListener('release', () => setActive(false))
+      } catch (err) {
+        console.warn('Wake lock unavailable:', err)
+        setActive(false)
+      }
+    }
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') request()
+    }
+
+    request()
+    document.addEventListener('visibilitychange', handleVisibility)
+    return () => {
+      released = true
+      document.removeEventListener('visibilitychange', handleVisibility)
+      sentinel?.release()
+    }
+  }, [supported, enabled])
+
+  return { supported, active }
+}
@@ -0,0 +1,202 @@
+import { useState } from 'react'
+import { BarChart, Bar, ScatterChart, Scatter, Cell, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts'
+import RecipeCard from '../components/RecipeCard'
+import { priceHistogram, healthTimeScatter, cuisineBreakdown, flagCorrelations } from '../data/analytics'
+import ChartDownload from '../components/ChartDownload'
+
+const tooltipStyle = { backgroundColor: 'white', border: '1px solid #ccc', borderRadius: '8px' }
+
+const correlationColor = (value) => {
+  if (value === null) return '#f3f4f6'
+  const alpha = Math.min(Math.abs(value), 1) * 0.8 + 0.1
+  return value >= 0 ? `rgba(34, 197, 94, ${alpha})` : `rgba(239, 68, 68, ${alpha})`
+}
+
+// Analytics Page - deeper charts over every loaded recipe, with click-to-drill-down
+function Analytics({ recipes, loading }) {
+  const [selection, setSelection] = useState(null)
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-content">
+          <div className="loading-icon">📈</div>
+          <p className="loading-text">Crunching recipe numbers...</p>
+        </div>
+      </div>
+    )
+  }
+
+  const priceData = priceHistogram(recipes)
+  const scatterData = healthTimeScatter(recipes)
+  const cuisineData = cuisineBreakdown(recipes)
+  const correlations = flagCorrelations(recipes)
+
+  // Recharts hands segment clicks either the datum itself or a wrapper with `payload`
+  const select = (label) => (entry) => {
+    const datum = entry?.payload ?? entry
+    if (!datum?.ids) return
+    setSelection({ label: label(datum), ids: datum.ids })
+  }
+
+  const selectedRecipes = selection
+    ? recipes.filter(r => selection.ids.includes(r.id))
+    : []
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">Recipe Analytics</h1>
+          <p className="page-subtitle">
+            Insights across all {recipes.length} loaded recipes. Click any bar, point or cell to see the recipes behind it.
+          </p>
+        </div>
+
+        <div className="charts-grid">
+          <div className="chart-card">
+            <h3 className="chart-title">
+              <span>💰</span> Price per Serving
+            </h3>
+            <ChartDownload filename="price-per-serving" />
+            <p className="chart-description">
+              How many recipes fall into each price range per serving.
+            </p>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={priceData} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="name" stroke="#374151" />
+                <YAxis allowDecimals={false} stroke="#374151" />
+                <Tooltip cursor={{ fill: 'rgba(233, 213, 255, 0.5)' }} contentStyle={tooltipStyle} />
+                <Bar
+                  dataKey="count"
+                  fill="#a855f7"
+                  name="Recipes"
+                  radius={[4, 4, 0, 0]}
+                  cursor="pointer"
+                  onClick={select(d => `Price ${d.name} per serving`)}
+                />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="chart-card">
+            <h3 className="chart-title">
+              <span>⚖️</span> Health Score vs. Cooking Time
+            </h3>
+            <ChartDownload filename="health-vs-time" />
+            <p className="chart-description">
+              Each point is a recipe. Do healthier dishes take longer?
+            </p>
+            <ResponsiveContainer width="100%" height={300}>
+              <ScatterChart margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis type="number" dataKey="readyInMinutes" name="Time" unit=" min" stroke="#374151" />
+                <YAxis type="number" dataKey="healthScore" name="Health" domain={[0, 100]} stroke="#374151" />
+                <ZAxis range={[60, 60]} />
+                <Tooltip cursor={{ strokeDasharray: '3 3' }} contentStyle={tooltipStyle} />
+                <Scatter
+                  data={scatterData}
+                  fill="#3b82f6"
+                  name="Recipes"
+                  cursor="pointer"
+                  onClick={select(d => d.title)}
+                />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="chart-card">
+            <h3 className="chart-title">
+              <span>🌍</span> Cuisine Breakdown
+            </h3>
+            <ChartDownload filename="cuisine-breakdown" />
+            <p className="chart-description">
+              Top cuisines among loaded recipes. Recipes tagged with several cuisines count once per cuisine.
+            </p>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={cuisineData} layout="vertical" margin={{ top: 5, right: 20, left: 30, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis type="number" allowDecimals={false} stroke="#374151" />
+                <YAxis type="category" dataKey="name" width={100} stroke="#374151" />
+                <Tooltip cursor={{ fill: 'rgba(187, 247, 208, 0.5)' }} contentStyle={tooltipStyle} />
+                <Bar
+                  dataKey="count"
+                  fill="#22c55e"
+                  name="Recipes"
+                  radius={[0, 4, 4, 0]}
+                  cursor="pointer"
+                  onClick={select(d => `${d.name} cuisine`)}
+                >
+                  {cuisineData.map((entry) => (
+                    <Cell key={entry.name} fill={entry.name === 'Unspecified' ? '#9ca3af' : '#22c55e'} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="chart-card">
+            <h3 className="chart-title">
+              <span>🔗</span> Property Correlation
+            </h3>
+            <p className="chart-description">
+              Phi coefficient between recipe properties: green cells appear together, red cells rarely do. Click a cell for recipes with both.
+            </p>
+            <table className="correlation-table">
+              <thead>
+                <tr>
+                  <th />
+                  {correlations.map(row => <th key={row.key}>{row.label}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {correlations.map(row => (
+                  <tr key={row.key}>
+                    <th>{row.label}</th>
+                    {row.cells.map(cell => (
+                      <td
+                        key={cell.key}
+                        className="correlation-cell"
+                        style={{ backgroundColor: correlationColor(cell.phi) }}
+                        title={`${cell.ids.length} recipes are ${row.label} and ${cell.label}`}
+                        onClick={() => setSelection({
+                          label: row.key === cell.key ? row.label : `${row.label} + ${cell.label}`,
+                          ids: cell.ids
+                        })}
+                      >
+                        {cell.phi === null ? '–' : cell.phi.toFixed(2)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {selection && (
+          <div className="drilldown-section">
+            <div className="drilldown-header">
+              <h2 className="chart-title">
+                <span>🔎</span> {selection.label} ({selectedRecipes.length})
+              </h2>
+              <button onClick={() => setSelection(null)} className="secondary-button">
+                Clear selection
+              </button>
+            </div>
+            {selectedRecipes.length === 0 ? (
+              <p className="chart-description">No recipes in this segment.</p>
+            ) : (
+              <div className="recipe-card-grid">
+                {selectedRecipes.map(recipe => <RecipeCard key={recipe.id} recipe={recipe} />)}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Analytics
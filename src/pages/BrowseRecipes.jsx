@@ -0,0 +1,223 @@
+import { useState, useEffect, useRef } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import RecipeCard from '../components/RecipeCard'
+import ErrorNotice from '../components/ErrorNotice'
+import { CUISINES, MEAL_TYPES, DIETS, INTOLERANCES, SORT_OPTIONS, readSearchParams } from '../data/recipeSearch'
+import { toRecipeSourceError } from '../data/errors'
+
+const PAGE_SIZE = 24
+
+// Browse Recipes Page - searches the source directly; the URL holds the search state
+function BrowseRecipes({ source }) {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const paramsKey = searchParams.toString()
+  const page = Math.max(1, parseInt(searchParams.get('page')) || 1)
+
+  const [form, setForm] = useState(() => readSearchParams(searchParams))
+  const [results, setResults] = useState([])
+  const [totalResults, setTotalResults] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [attempt, setAttempt] = useState(0)
+  const lastAttempt = useRef(attempt)
+
+  // Keep the form in sync when the URL changes through back/forward
+  useEffect(() => {
+    setForm(readSearchParams(new URLSearchParams(paramsKey)))
+  }, [paramsKey])
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchResults = async () => {
+      const params = new URLSearchParams(paramsKey)
+      const currentPage = Math.max(1, parseInt(params.get('page')) || 1)
+
+      // On a retry the previous error stays up until the fetch settles, so it
+      // shows as in progress on its notice; a new search starts clean
+      const retry = attempt !== lastAttempt.current
+      lastAttempt.current = attempt
+      try {
+        setLoading(true)
+        if (!retry) setError(null)
+        const data = await source.searchRecipes({
+          ...readSearchParams(params),
+          offset: (currentPage - 1) * PAGE_SIZE,
+          number: PAGE_SIZE
+        })
+        if (cancelled) return
+        setError(null)
+        setResults(data.results)
+        setTotalResults(data.totalResults)
+      } catch (err) {
+        if (cancelled) return
+        console.error('API Error:', err)
+        setError(toRecipeSourceError(err))
+        setResults([])
+        setTotalResults(0)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchResults()
+    return () => { cancelled = true }
+  }, [source, paramsKey, attempt])
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }))
+  }
+
+  const selectedIntolerances = form.intolerances ? form.intolerances.split(',') : []
+
+  const toggleIntolerance = (intolerance) => {
+    const next = selectedIntolerances.includes(intolerance)
+      ? selectedIntolerances.filter(i => i !== intolerance)
+      : [...selectedIntolerances, intolerance]
+    updateField('intolerances', next.join(','))
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const next = new URLSearchParams()
+    Object.entries(form).forEach(([key, value]) => {
+      if (value) next.set(key, value)
+    })
+    setSearchParams(next)
+  }
+
+  const handleReset = () => {
+    setForm({})
+    setSearchParams(new URLSearchParams())
+  }
+
+  const goToPage = (nextPage) => {
+    const next = new URLSearchParams(searchParams)
+    if (nextPage > 1) {
+      next.set('page', nextPage)
+    } else {
+      next.delete('page')
+    }
+    setSearchParams(next)
+  }
+
+  const totalPages = Math.max(1, Math.ceil(totalResults / PAGE_SIZE))
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">Browse Recipes</h1>
+          <p className="page-subtitle">Search the full {source.label} catalogue by cuisine, meal type, diet and more</p>
+          {error && (
+            <ErrorNotice error={error} onRetry={() => setAttempt(n => n + 1)} retrying={loading && 'Retrying...'} />
+          )}
+        </div>
+
+        <form className="filter-section browse-form" onSubmit={handleSubmit}>
+          <div className="filter-grid">
+            <div className="search-wrapper">
+              <span className="search-icon">🔍</span>
+              <input
+                type="text"
+                placeholder="Search recipes..."
+                value={form.query || ''}
+                onChange={(e) => updateField('query', e.target.value)}
+                className="search-input"
+              />
+            </div>
+
+            <select value={form.cuisine || ''} onChange={(e) => updateField('cuisine', e.target.value)} className="filter-select">
+              <option value="">Any Cuisine</option>
+              {CUISINES.map(cuisine => <option key={cuisine} value={cuisine}>{cuisine}</option>)}
+            </select>
+
+            <select value={form.type || ''} onChange={(e) => updateField('type', e.target.value)} className="filter-select">
+              <option value="">Any Meal Type</option>
+              {MEAL_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+
+            <select value={form.diet || ''} onChange={(e) => updateField('diet', e.target.value)} className="filter-select">
+              <option value="">Any Diet</option>
+              {DIETS.map(diet => <option key={diet} value={diet}>{diet}</option>)}
+            </select>
+
+            <input
+              type="number"
+              min="1"
+              placeholder="Max ready time (min)"
+              value={form.maxReadyTime || ''}
+              onChange={(e) => updateField('maxReadyTime', e.target.value)}
+              className="filter-select"
+            />
+
+            <div className="browse-sort">
+              <select value={form.sort || ''} onChange={(e) => updateField('sort', e.target.value)} className="filter-select">
+                {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>Sort: {option.label}</option>)}
+              </select>
+              <select
+                value={form.sortDirection || 'desc'}
+                onChange={(e) => updateField('sortDirection', e.target.value)}
+                className="filter-select"
+                disabled={!form.sort}
+              >
+                <option value="desc">Descending</option>
+                <option value="asc">Ascending</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="browse-intolerances">
+            <span className="browse-intolerances-label">Intolerances:</span>
+            {INTOLERANCES.map(intolerance => (
+              <label key={intolerance} className="checkbox-chip">
+                <input
+                  type="checkbox"
+                  checked={selectedIntolerances.includes(intolerance)}
+                  onChange={() => toggleIntolerance(intolerance)}
+                />
+                {intolerance}
+              </label>
+            ))}
+          </div>
+
+          <div className="browse-actions">
+            <button type="button" onClick={handleReset} className="secondary-button">Reset</button>
+            <button type="submit" className="primary-button">Search</button>
+          </div>
+        </form>
+
+        <div className="browse-results-header">
+          <span>{loading ? 'Searching...' : `${totalResults} recipes found`}</span>
+          {totalResults > PAGE_SIZE && (
+            <span>Page {page} of {totalPages}</span>
+          )}
+        </div>
+
+        {!loading && results.length === 0 ? (
+          <div className="table-container empty-state">
+            No recipes match this search. Try removing a few filters.
+          </div>
+        ) : (
+          <div className="recipe-card-grid">
+            {results.map(recipe => <RecipeCard key={recipe.id} recipe={recipe} />)}
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="pagination">
+            <button onClick={() => goToPage(page - 1)} disabled={page <= 1 || loading} className="secondary-button">
+              ← Previous
+            </button>
+            <span className="pagination-text">Page {page} of {totalPages}</span>
+            <button onClick={() => goToPage(page + 1)} disabled={page >= totalPages || loading} className="secondary-button">
+              Next →
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BrowseRecipes
@@ -0,0 +1,144 @@
+import { useState, useRef } from 'react'
+import RecipeCard from '../components/RecipeCard'
+import { useCollections } from '../hooks/useCollections'
+import {
+  createCollection, renameCollection, deleteCollection, removeFromCollection,
+  toggleFavorite, exportCollections, importCollections
+} from '../data/collections'
+import { downloadFile, readFileText } from '../utils/download'
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection'
+
+// Saved Recipe Grid - recipe cards with a remove action
+function SavedRecipeGrid({ recipes, onRemove, emptyText }) {
+  if (recipes.length === 0) {
+    return <p className="chart-description">{emptyText}</p>
+  }
+
+  return (
+    <div className="recipe-card-grid">
+      {recipes.map(recipe => (
+        <div key={recipe.id} className="saved-recipe">
+          <RecipeCard recipe={recipe} />
+          <button onClick={() => onRemove(recipe)} className="saved-recipe-remove" title="Remove">
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Collections Page - favorites and named collections, with JSON export/import
+function Collections() {
+  const { recipes, favorites, collections } = useCollections()
+  const [newName, setNewName] = useState('')
+  const [message, setMessage] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const lookup = (ids) => ids.map(id => recipes[id]).filter(Boolean)
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    if (!newName.trim()) return
+    createCollection(newName)
+    setNewName('')
+  }
+
+  const handleRename = (collection) => {
+    const name = window.prompt('Rename collection', collection.name)
+    if (name && name.trim()) renameCollection(collection.id, name)
+  }
+
+  const handleDelete = (collection) => {
+    if (window.confirm(`Delete the "${collection.name}" collection?`)) deleteCollection(collection.id)
+  }
+
+  const handleExport = (collection) => {
+    const json = exportCollections(collection ? [collection.id] : undefined)
+    const filename = collection ? `${slugify(collection.name)}.json` : 'recipe-collections.json'
+    downloadFile(filename, json, 'application/json')
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const result = importCollections(await readFileText(file))
+      const skipped = result.skipped ? ` ${result.skipped} invalid recipes were skipped.` : ''
+      setMessage({
+        type: 'success',
+        text: `Imported ${result.recipes} recipes: ${result.collections} new collections, ${result.merged} merged into existing ones.${skipped}`
+      })
+    } catch (err) {
+      setMessage({ type: 'error', text: `Import failed: ${err.message}` })
+    }
+  }
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">My Recipes</h1>
+          <p className="page-subtitle">Your favorite recipes and personal collections, saved in this browser</p>
+          {message && (
+            <div className={message.type === 'error' ? 'warning-banner' : 'success-banner'}>
+              {message.text}
+            </div>
+          )}
+        </div>
+
+        <div className="filter-section collections-toolbar">
+          <form onSubmit={handleCreate} className="collections-create">
+            <input
+              type="text"
+              placeholder='New collection name, e.g. "Weeknight"'
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className="search-input collections-name-input"
+            />
+            <button type="submit" className="primary-button" disabled={!newName.trim()}>Create</button>
+          </form>
+          <div className="collections-actions">
+            <button onClick={() => handleExport()} className="secondary-button">⬇️ Export all</button>
+            <button onClick={() => fileInputRef.current.click()} className="secondary-button">⬆️ Import</button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} hidden />
+          </div>
+        </div>
+
+        <section className="drilldown-section collection-section">
+          <div className="drilldown-header">
+            <h2 className="chart-title"><span>⭐</span> Favorites ({favorites.length})</h2>
+          </div>
+          <SavedRecipeGrid
+            recipes={lookup(favorites)}
+            onRemove={toggleFavorite}
+            emptyText="Star recipes on the dashboard or a recipe page to see them here."
+          />
+        </section>
+
+        {collections.map(collection => (
+          <section key={collection.id} className="drilldown-section collection-section">
+            <div className="drilldown-header">
+              <h2 className="chart-title"><span>📁</span> {collection.name} ({collection.recipeIds.length})</h2>
+              <div className="collections-actions">
+                <button onClick={() => handleRename(collection)} className="secondary-button">Rename</button>
+                <button onClick={() => handleExport(collection)} className="secondary-button">Export</button>
+                <button onClick={() => handleDelete(collection)} className="secondary-button">Delete</button>
+              </div>
+            </div>
+            <SavedRecipeGrid
+              recipes={lookup(collection.recipeIds)}
+              onRemove={(recipe) => removeFromCollection(collection.id, recipe.id)}
+              emptyText="No recipes yet. Use “Add to collection” on a recipe page."
+            />
+          </section>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default Collections
@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Legend, Tooltip, ResponsiveContainer } from 'recharts'
+import { useCompare } from '../hooks/useCompare'
+import { COMPARE_STATS, COMPARE_FLAGS, MAX_COMPARE, MIN_COMPARE, bestValues, radarData } from '../data/compare'
+import ChartDownload from '../components/ChartDownload'
+import RecipeImage from '../components/RecipeImage'
+
+const COLORS = ['#f97316', '#3b82f6', '#22c55e', '#a855f7']
+
+// Compare Recipes Page - side-by-side stats and a radar chart for 2-4 recipes
+function CompareRecipes({ source, recipes }) {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const { recipes: picked } = useCompare()
+  const [fetched, setFetched] = useState({})
+  // Recipe id -> why it could not be loaded
+  const [failed, setFailed] = useState({})
+
+  // The URL decides what is compared so comparisons can be shared
+  const ids = (searchParams.get('ids') || picked.map(r => r.id).join(','))
+    .split(',').filter(Boolean).slice(0, MAX_COMPARE)
+
+  const known = [...recipes, ...picked, ...Object.values(fetched)]
+  const compared = ids.map(id => known.find(r => r.id === id)).filter(Boolean)
+  const unknownIds = ids.filter(id => !known.some(r => r.id === id))
+  const failedIds = unknownIds.filter(id => failed[id])
+  const missingKey = unknownIds.filter(id => !failed[id]).join(',')
+
+  useEffect(() => {
+    if (!missingKey) return
+    let cancelled = false
+
+    // Each recipe settles on its own, so one bad id doesn't hold up the others
+    const fetchMissing = async () => {
+      const pending = missingKey.split(',')
+      const results = await Promise.allSettled(pending.map(id => source.getRecipe(id)))
+      if (cancelled) return
+      const loaded = {}
+      const errors = {}
+      results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+          console.error('API Error:', result.reason)
+          errors[pending[i]] = result.reason.message
+        } else if (result.value) {
+          loaded[pending[i]] = result.value
+        } else {
+          errors[pending[i]] = 'Recipe not found'
+        }
+      })
+      setFetched(prev => ({ ...prev, ...loaded }))
+      setFailed(prev => ({ ...prev, ...errors }))
+    }
+
+    fetchMissing()
+    return () => { cancelled = true }
+  }, [source, missingKey])
+
+  const removeId = (recipeId) => {
+    setSearchParams({ ids: ids.filter(id => id !== recipeId).join(',') }, { replace: true })
+  }
+
+  if (ids.length < MIN_COMPARE) {
+    return (
+      <div className="not-found-container">
+        <div className="not-found-content">
+          <div className="not-found-icon">⚖️</div>
+          <p className="not-found-text">Pick {MIN_COMPARE}–{MAX_COMPARE} recipes on the dashboard to compare them</p>
+          <Link to="/" className="not-found-button">Back to Dashboard</Link>
+        </div>
+      </div>
+    )
+  }
+
+  const best = bestValues(compared)
+  const chartData = radarData(compared)
+  const gridStyle = { gridTemplateColumns: `180px repeat(${compared.length}, minmax(160px, 1fr))` }
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">Compare Recipes</h1>
+          <p className="page-subtitle">Best values in each row are highlighted</p>
+          {failedIds.map(id => (
+            <div key={id} className="warning-banner">
+              <strong>Warning:</strong> Recipe {id} could not be loaded. {failed[id]}{' '}
+              <button onClick={() => removeId(id)} className="secondary-button">Remove</button>
+            </div>
+          ))}
+          {missingKey && (
+            <div className="warning-banner">Loading {missingKey.split(',').length} more recipes...</div>
+          )}
+        </div>
+
+        <div className="compare-card">
+          <div className="compare-grid" style={gridStyle}>
+            <div />
+            {compared.map((recipe, index) => (
+              <Link
+                key={recipe.id}
+                to={`/recipe/${recipe.id}`}
+                state={{ recipe }}
+                className="compare-recipe"
+                style={{ borderTopColor: COLORS[index] }}
+              >
+                <RecipeImage src={recipe.image} alt={recipe.title} className="compare-image" />
+                <span className="recipe-name">{recipe.title}</span>
+              </Link>
+            ))}
+
+            {COMPARE_STATS.map(stat => (
+              <div key={stat.key} className="compare-row">
+                <div className="compare-label">{stat.label}</div>
+                {compared.map(recipe => (
+                  <div
+                    key={recipe.id}
+                    className={best[stat.key] === recipe[stat.key] ? 'compare-value compare-value-best' : 'compare-value'}
+                  >
+                    {stat.format(recipe[stat.key])}
+                    {best[stat.key] === recipe[stat.key] && ' 🏆'}
+                  </div>
+                ))}
+              </div>
+            ))}
+
+            {COMPARE_FLAGS.map(flag => (
+              <div key={flag.key} className="compare-row">
+                <div className="compare-label">{flag.label}</div>
+                {compared.map(recipe => (
+                  <div key={recipe.id} className="compare-value">
+                    <span className={recipe[flag.key] ? 'detail-info-value detail-info-value-green' : 'detail-info-value detail-info-value-red'}>
+                      {recipe[flag.key] ? '✓ Yes' : '✗ No'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="chart-card compare-chart">
+          <h3 className="chart-title">
+            <span>🕸️</span> At a Glance
+          </h3>
+          <ChartDownload filename="recipe-comparison" />
+          <p className="chart-description">
+            Every axis is scaled 0–100 where higher is better (faster, cheaper, healthier, more popular).
+          </p>
+          <ResponsiveContainer width="100%" height={400}>
+            <RadarChart data={chartData} outerRadius="75%">
+              <PolarGrid stroke="#e5e7eb" />
+              <PolarAngleAxis dataKey="metric" stroke="#374151" />
+              <PolarRadiusAxis angle={90} domain={[0, 100]} tick={false} axisLine={false} />
+              {compared.map((recipe, index) => (
+                <Radar
+                  key={recipe.id}
+                  name={recipe.title}
+                  dataKey={recipe.id}
+                  stroke={COLORS[index]}
+                  fill={COLORS[index]}
+                  fillOpacity={0.15}
+                />
+              ))}
+              <Tooltip contentStyle={{ backgroundColor: 'white', border: '1px solid #ccc', borderRadius: '8px' }} />
+              <Legend iconType="circle" wrapperStyle={{ paddingTop: '10px' }} />
+            </RadarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CompareRecipes
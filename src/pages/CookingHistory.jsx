@@ -0,0 +1,120 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import StarRating from '../components/StarRating'
+import RecipeImage from '../components/RecipeImage'
+import { useCookingLog } from '../hooks/useCookingLog'
+import { sortedEntries, recipeRatings, updateLogEntry, deleteLogEntry, cookingLogToCsv } from '../data/cookingLog'
+import { downloadFile } from '../utils/download'
+
+// Cooking History Page - every logged cook, newest first, with ratings and notes
+function CookingHistory() {
+  const log = useCookingLog()
+  const [minRating, setMinRating] = useState(0)
+  const ratings = recipeRatings(log)
+
+  const entries = sortedEntries(log.entries).filter(entry => (entry.rating || 0) >= minRating)
+  const rated = log.entries.filter(entry => entry.rating)
+  const averageRating = rated.length
+    ? Math.round((rated.reduce((sum, entry) => sum + entry.rating, 0) / rated.length) * 10) / 10
+    : null
+
+  const handleDelete = (entryId) => {
+    if (window.confirm('Delete this entry from your cooking log?')) deleteLogEntry(entryId)
+  }
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">Cooking History</h1>
+          <p className="page-subtitle">What you cooked, how it went and what you changed</p>
+        </div>
+
+        <div className="stats-grid">
+          <div className="stat-card stat-card-orange">
+            <div className="stat-card-content">
+              <div>
+                <p className="stat-label">Times Cooked</p>
+                <p className="stat-value">{log.entries.length}</p>
+              </div>
+              <span className="stat-icon stat-icon-orange">🍳</span>
+            </div>
+          </div>
+          <div className="stat-card stat-card-blue">
+            <div className="stat-card-content">
+              <div>
+                <p className="stat-label">Different Recipes</p>
+                <p className="stat-value">{ratings.size}</p>
+              </div>
+              <span className="stat-icon stat-icon-blue">📚</span>
+            </div>
+          </div>
+          <div className="stat-card stat-card-green">
+            <div className="stat-card-content">
+              <div>
+                <p className="stat-label">Average Rating</p>
+                <p className="stat-value">{averageRating === null ? '—' : `${averageRating} / 5`}</p>
+                <p className="stat-hint">{rated.length} rated</p>
+              </div>
+              <span className="stat-icon stat-icon-green">⭐</span>
+            </div>
+          </div>
+        </div>
+
+        {log.entries.length === 0 ? (
+          <div className="filter-section">
+            <p className="chart-description">
+              Nothing logged yet. Use “Mark as Cooked” on a recipe page to start your history.
+            </p>
+          </div>
+        ) : (
+          <div className="filter-section">
+            <div className="cooking-log-header">
+              <label className="cooking-log-filter">
+                <span className="range-slider-label">Show</span>
+                <select value={minRating} onChange={(e) => setMinRating(Number(e.target.value))} className="filter-select">
+                  <option value={0}>All entries</option>
+                  {[5, 4, 3, 2, 1].map(stars => (
+                    <option key={stars} value={stars}>{stars === 5 ? '5 stars' : `${stars}+ stars`}</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                onClick={() => downloadFile('cooking-history.csv', cookingLogToCsv(log), 'text/csv')}
+                className="secondary-button"
+              >
+                ⬇️ CSV
+              </button>
+            </div>
+
+            <ul className="cooking-log-list">
+              {entries.map(entry => {
+                const recipe = log.recipes[entry.recipeId]
+                return (
+                  <li key={entry.id} className="cooking-log-entry cooking-history-entry">
+                    {recipe?.image && <RecipeImage src={recipe.image} alt="" className="recipe-image" />}
+                    <div className="cooking-history-body">
+                      <div className="cooking-log-entry-header">
+                        <strong>{entry.date}</strong>
+                        <Link to={`/recipe/${entry.recipeId}`} state={{ recipe }} className="recipe-name">
+                          {recipe?.title || 'Unknown recipe'}
+                        </Link>
+                        <StarRating value={entry.rating} onChange={(value) => updateLogEntry(entry.id, { rating: value })} />
+                        <button onClick={() => handleDelete(entry.id)} className="cooking-log-delete" title="Delete entry">✕</button>
+                      </div>
+                      {entry.notes && <p className="cooking-log-text">{entry.notes}</p>}
+                      {entry.modifications && <p className="cooking-log-text"><em>Changes:</em> {entry.modifications}</p>}
+                    </div>
+                  </li>
+                )
+              })}
+            </ul>
+            {entries.length === 0 && <p className="chart-description">No entries with that rating.</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CookingHistory
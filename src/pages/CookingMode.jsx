@@ -0,0 +1,270 @@
+import { useState, useEffect, useRef } from 'react'
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom'
+import { useRecipeDetails } from '../hooks/useRecipeDetails'
+import { useWakeLock } from '../hooks/useWakeLock'
+import { stepTimers, formatDuration } from '../data/cookingTimers'
+import { playAlarm, primeAlarm } from '../utils/alarm'
+
+// Horizontal distance (px) a touch has to travel to count as a swipe
+const SWIPE_DISTANCE = 50
+
+const secondsLeft = (timer, now) => timer.endsAt === null ? timer.remaining : Math.max(0, (timer.endsAt - now) / 1000)
+
+// Cooking Mode Component - full-screen, one step at a time, with timers
+function CookingMode({ source, recipes }) {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const listed = recipes.find(r => r.id === id) || (location.state?.recipe?.id === id ? location.state.recipe : null)
+  const { recipe, loading, error } = useRecipeDetails(source, id, listed)
+  const wakeLock = useWakeLock()
+  const [stepIndex, setStepIndex] = useState(0)
+  // [{ id, label, stepNumber, seconds, endsAt, remaining, done }]; endsAt is
+  // null while paused or done
+  const [timers, setTimers] = useState([])
+  const [now, setNow] = useState(() => Date.now())
+  const touchStart = useRef(null)
+
+  const steps = recipe?.steps || []
+  const finished = steps.length > 0 && stepIndex >= steps.length
+  const step = steps[stepIndex]
+  const running = timers.some(timer => timer.endsAt !== null)
+
+  const exit = () => navigate(`/recipe/${id}`)
+  const goTo = (index) => setStepIndex(Math.max(0, Math.min(steps.length, index)))
+
+  useEffect(() => {
+    if (!running) return
+    const interval = setInterval(() => setNow(Date.now()), 500)
+    return () => clearInterval(interval)
+  }, [running])
+
+  // Ring once for each timer that has just run out
+  useEffect(() => {
+    const due = timers.filter(timer => timer.endsAt !== null && timer.endsAt <= now)
+    if (due.length === 0) return
+    playAlarm()
+    setTimers(prev => prev.map(timer => (
+      due.some(d => d.id === timer.id) ? { ...timer, endsAt: null, remaining: 0, done: true } : timer
+    )))
+  }, [timers, now])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return
+      switch (e.key) {
+        case 'ArrowRight':
+        case 'PageDown':
+          e.preventDefault()
+          setStepIndex(i => Math.min(steps.length, i + 1))
+          break
+        case 'ArrowLeft':
+        case 'PageUp':
+          e.preventDefault()
+          setStepIndex(i => Math.max(0, i - 1))
+          break
+        case 'Home':
+          setStepIndex(0)
+          break
+        case 'End':
+          setStepIndex(Math.max(0, steps.length - 1))
+          break
+        case 'Escape':
+          if (!document.fullscreenElement) navigate(`/recipe/${id}`)
+          break
+        default:
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [steps.length, navigate, id])
+
+  // Leave browser full screen when cooking mode closes
+  useEffect(() => () => {
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {})
+  }, [])
+
+  const handleTouchStart = (e) => {
+    touchStart.current = { x: e.touches[0].clientX, y: e.touches[0].clientY }
+  }
+
+  const handleTouchEnd = (e) => {
+    if (!touchStart.current) return
+    const dx = e.changedTouches[0].clientX - touchStart.current.x
+    const dy = e.changedTouches[0].clientY - touchStart.current.y
+    touchStart.current = null
+    // Mostly horizontal swipes only, so scrolling a long step still works
+    if (Math.abs(dx) < SWIPE_DISTANCE || Math.abs(dx) < Math.abs(dy) * 1.5) return
+    goTo(stepIndex + (dx < 0 ? 1 : -1))
+  }
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen()
+    } else {
+      document.documentElement.requestFullscreen?.().catch(() => {})
+    }
+  }
+
+  const startTimer = (definition, stepNumber) => {
+    primeAlarm()
+    const startedAt = Date.now()
+    setNow(startedAt)
+    setTimers(prev => [...prev, {
+      id: `timer-${startedAt}`,
+      label: definition.label,
+      stepNumber,
+      seconds: definition.seconds,
+      endsAt: startedAt + definition.seconds * 1000,
+      remaining: definition.seconds,
+      done: false
+    }])
+  }
+
+  const togglePause = (timerId) => {
+    const at = Date.now()
+    setNow(at)
+    setTimers(prev => prev.map(timer => {
+      if (timer.id !== timerId || timer.done) return timer
+      return timer.endsAt === null
+        ? { ...timer, endsAt: at + timer.remaining * 1000 }
+        : { ...timer, endsAt: null, remaining: secondsLeft(timer, at) }
+    }))
+  }
+
+  const dismissTimer = (timerId) => {
+    setTimers(prev => prev.filter(timer => timer.id !== timerId))
+  }
+
+  if (!recipe && loading) {
+    return (
+      <div className="cooking-mode">
+        <div className="cooking-message">
+          <div className="loading-icon">👨‍🍳</div>
+          <p>Loading recipe...</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (!recipe || steps.length === 0) {
+    return (
+      <div className="cooking-mode">
+        <div className="cooking-message">
+          <div className="not-found-icon">📝</div>
+          <p>{recipe ? 'This recipe has no step-by-step instructions.' : 'Recipe not found'}</p>
+          {error && <p className="not-found-detail">{error}</p>}
+          <Link to={recipe ? `/recipe/${id}` : '/'} className="primary-button">
+            {recipe ? 'Back to recipe' : 'Back to Dashboard'}
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  const timerDefinitions = step ? stepTimers(step) : []
+
+  return (
+    <div className="cooking-mode" onTouchStart={handleTouchStart} onTouchEnd={handleTouchEnd}>
+      <header className="cooking-header">
+        <div>
+          <h1 className="cooking-title">{recipe.title}</h1>
+          <p className="cooking-subtitle">
+            {finished ? 'Finished' : `Step ${stepIndex + 1} of ${steps.length}`}
+            {wakeLock.supported && (
+              <span className="cooking-wake-lock">
+                {wakeLock.active ? ' · 💡 Screen stays on' : ' · Screen may turn off'}
+              </span>
+            )}
+          </p>
+        </div>
+        <div className="cooking-header-actions">
+          <button onClick={toggleFullscreen} className="secondary-button" aria-label="Toggle full screen">⛶</button>
+          <button onClick={exit} className="secondary-button" aria-label="Exit cooking mode">✕ Exit</button>
+        </div>
+      </header>
+
+      <div className="cooking-progress" role="progressbar" aria-valuemin={0} aria-valuemax={steps.length} aria-valuenow={stepIndex}>
+        <div className="cooking-progress-fill" style={{ width: `${(stepIndex / steps.length) * 100}%` }} />
+      </div>
+
+      <main className="cooking-step" aria-live="polite">
+        {finished ? (
+          <div className="cooking-message">
+            <div className="cooking-done-icon">🎉</div>
+            <p className="cooking-step-text">All done. Enjoy your {recipe.title}!</p>
+            <div className="cooking-timer-starts">
+              <Link to={`/recipe/${id}`} state={{ recipe, markCooked: true }} className="primary-button">✅ Mark as Cooked</Link>
+              <Link to={`/recipe/${id}`} className="secondary-button">Back to recipe</Link>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="cooking-step-number">Step {step.number}</div>
+            <p className="cooking-step-text">{step.text}</p>
+
+            {(step.ingredients.length > 0 || step.equipment.length > 0) && (
+              <div className="cooking-step-meta">
+                {step.ingredients.map(name => <span key={`i-${name}`} className="diet-tag diet-tag-vegetarian">{name}</span>)}
+                {step.equipment.map(name => <span key={`e-${name}`} className="equipment-tag">{name}</span>)}
+              </div>
+            )}
+
+            {timerDefinitions.length > 0 && (
+              <div className="cooking-timer-starts">
+                {timerDefinitions.map((definition, i) => (
+                  <button key={i} onClick={() => startTimer(definition, step.number)} className="primary-button">
+                    ⏲️ Start {definition.label} timer
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </main>
+
+      {timers.length > 0 && (
+        <aside className="cooking-timers" aria-label="Timers">
+          {timers.map(timer => (
+            <div key={timer.id} className={timer.done ? 'cooking-timer cooking-timer-done' : 'cooking-timer'}>
+              <div>
+                <div className="cooking-timer-time">{timer.done ? 'Done!' : formatDuration(secondsLeft(timer, now))}</div>
+                <div className="cooking-timer-label">Step {timer.stepNumber} · {timer.label}</div>
+              </div>
+              {!timer.done && (
+                <button onClick={() => togglePause(timer.id)} className="secondary-button">
+                  {timer.endsAt === null ? '▶' : '⏸'}
+                </button>
+              )}
+              <button onClick={() => dismissTimer(timer.id)} className="secondary-button" aria-label="Dismiss timer">✕</button>
+            </div>
+          ))}
+        </aside>
+      )}
+
+      <footer className="cooking-nav">
+        <button onClick={() => goTo(stepIndex - 1)} disabled={stepIndex === 0} className="secondary-button cooking-nav-button">
+          ← Previous
+        </button>
+        <div className="cooking-dots">
+          {steps.map((s, i) => (
+            <button
+              key={s.number}
+              onClick={() => goTo(i)}
+              className={i === stepIndex ? 'cooking-dot cooking-dot-active' : i < stepIndex ? 'cooking-dot cooking-dot-done' : 'cooking-dot'}
+              aria-label={`Go to step ${s.number}`}
+            />
+          ))}
+        </div>
+        <button onClick={() => goTo(stepIndex + 1)} disabled={finished} className="primary-button cooking-nav-button">
+          {stepIndex === steps.length - 1 ? 'Finish ✓' : 'Next →'}
+        </button>
+      </footer>
+
+      <p className="cooking-hint">Use ← / → or swipe to move between steps. Esc exits.</p>
+    </div>
+  )
+}
+
+export default CookingMode
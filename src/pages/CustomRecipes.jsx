@@ -0,0 +1,114 @@
+import { useState, useRef } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import RecipeCard from '../components/RecipeCard'
+import { useCustomRecipes } from '../hooks/useCustomRecipes'
+import { deleteCustomRecipe, saveCustomRecipe, parseJsonLdRecipes, recipeToForm } from '../data/customRecipes'
+import { readFileText } from '../utils/download'
+
+// Custom Recipes Page - recipes written or imported by the user
+function CustomRecipes() {
+  const { recipes } = useCustomRecipes()
+  const navigate = useNavigate()
+  const [jsonLd, setJsonLd] = useState('')
+  const [message, setMessage] = useState(null)
+  const fileInputRef = useRef(null)
+
+  // A single recipe opens in the editor for review; several are saved at once
+  const importText = (text) => {
+    try {
+      const found = parseJsonLdRecipes(text)
+      if (found.length === 1) {
+        navigate('/recipes/new', { state: { form: recipeToForm(found[0]) } })
+        return
+      }
+      let imported = 0
+      try {
+        found.forEach(recipe => {
+          saveCustomRecipe(recipe)
+          imported++
+        })
+      } catch (err) {
+        setMessage({ type: 'error', text: `Imported ${imported} of ${found.length} recipes. ${err.message}` })
+        return
+      }
+      setJsonLd('')
+      setMessage({ type: 'success', text: `Imported ${found.length} recipes.` })
+    } catch (err) {
+      setMessage({ type: 'error', text: `Import failed: ${err.message}` })
+    }
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (file) importText(await readFileText(file))
+  }
+
+  const handleDelete = (recipe) => {
+    if (window.confirm(`Delete "${recipe.title}"?`)) deleteCustomRecipe(recipe.id)
+  }
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">My Own Recipes</h1>
+          <p className="page-subtitle">Recipes you wrote or imported, shown alongside the fetched ones</p>
+          {message && (
+            <div className={message.type === 'error' ? 'warning-banner' : 'success-banner'}>
+              {message.text}
+            </div>
+          )}
+        </div>
+
+        <div className="filter-section collections-toolbar">
+          <Link to="/recipes/new" className="primary-button">✍️ New Recipe</Link>
+          <div className="collections-actions">
+            <button onClick={() => fileInputRef.current.click()} className="secondary-button">⬆️ Import JSON-LD file</button>
+            <input ref={fileInputRef} type="file" accept="application/json,application/ld+json,.json,.jsonld,.html,.htm" onChange={handleFile} hidden />
+          </div>
+        </div>
+
+        <div className="filter-section">
+          <h2 className="chart-title"><span>📥</span> Import from schema.org JSON-LD</h2>
+          <p className="chart-description">
+            Paste a recipe page's <code>application/ld+json</code> block, or the page's HTML source.
+          </p>
+          <textarea
+            value={jsonLd}
+            onChange={(e) => setJsonLd(e.target.value)}
+            rows={5}
+            className="search-input editor-textarea"
+            placeholder='{"@context": "https://schema.org", "@type": "Recipe", "name": "..."}'
+          />
+          <div className="editor-actions">
+            <button onClick={() => importText(jsonLd)} disabled={!jsonLd.trim()} className="secondary-button">Import</button>
+          </div>
+        </div>
+
+        <section className="drilldown-section collection-section">
+          <div className="drilldown-header">
+            <h2 className="chart-title"><span>📝</span> Your Recipes ({recipes.length})</h2>
+          </div>
+          {recipes.length === 0 ? (
+            <p className="chart-description">No custom recipes yet. Create one or import it from a recipe website.</p>
+          ) : (
+            <div className="recipe-card-grid">
+              {recipes.map(recipe => (
+                <div key={recipe.id} className="recommended-item">
+                  <RecipeCard recipe={recipe} />
+                  <div className="collections-actions">
+                    <Link to={`/recipes/${recipe.id}/edit`} className="secondary-button">Edit</Link>
+                    <button onClick={() => handleDelete(recipe)} className="secondary-button">Delete</button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  )
+}
+
+export default CustomRecipes
@@ -0,0 +1,359 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { useInfiniteScroll } from '../hooks/useInfiniteScroll'
+import RecipeTable from '../components/RecipeTable'
+import CompareTray from '../components/CompareTray'
+import ErrorNotice from '../components/ErrorNotice'
+import FilterPanel from '../components/FilterPanel'
+import RecommendedRecipes from '../components/RecommendedRecipes'
+import { parseFilters, filtersToParams, applyFilters, countActiveFilters } from '../data/dashboardFilters'
+import { useDietaryProfile } from '../hooks/useDietaryProfile'
+import { usePreferences } from '../hooks/usePreferences'
+import { useCookingLog } from '../hooks/useCookingLog'
+import { ratingDistribution } from '../data/cookingLog'
+import { useDebouncedValue } from '../hooks/useDebouncedValue'
+import { createSearchIndex } from '../data/searchIndex'
+import { applyProfile, hasProfileRules } from '../data/dietaryProfile'
+import { tableLayoutStore, sortRecipes } from '../data/tableColumns'
+import { recipesToCsv, dashboardToJson } from '../data/recipeExport'
+import { downloadFile } from '../utils/download'
+import ChartDownload from '../components/ChartDownload'
+
+// Scrolling loads at most this many pages in a row before asking for a click
+const MAX_AUTO_LOADS = 5
+
+// Dashboard Component
+function Dashboard({ recipes, loading, status, pagination }) {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const paramsKey = searchParams.toString()
+  const filters = parseFilters(searchParams)
+  const profile = useDietaryProfile()
+  const profileActive = profile.active && hasProfileRules(profile)
+  // Sources may ignore part of the profile (e.g. cached pages), so it is applied here too
+  const allowedRecipes = useMemo(
+    () => applyProfile(recipes, profile, status.searchOptions),
+    [recipes, profile, status.searchOptions]
+  )
+  const { defaultFilters } = usePreferences()
+  const cookingLog = useCookingLog()
+  const appliedDefaults = useRef(false)
+  const [autoLoads, setAutoLoads] = useState(0)
+  const ownCount = pagination.customCount > 0 ? `, +${pagination.customCount} of your own` : ''
+
+  // A client-side filter can keep the table short enough that the load-more
+  // button never leaves the screen, which would page through everything the
+  // source has (and its quota). Then only a click loads more.
+  const clientFiltered = countActiveFilters(filters) > 0 || allowedRecipes.length < recipes.length
+  const loadMoreRef = useInfiniteScroll(() => {
+    setAutoLoads(n => n + 1)
+    pagination.loadMore()
+  }, pagination.hasMore && !pagination.loadingMore && !clientFiltered && autoLoads < MAX_AUTO_LOADS)
+  const handleLoadMore = () => {
+    setAutoLoads(0)
+    pagination.loadMore()
+  }
+
+  // Default filters from Settings apply once, when the dashboard opens without any
+  useEffect(() => {
+    if (appliedDefaults.current) return
+    appliedDefaults.current = true
+    if (defaultFilters && !paramsKey) setSearchParams(new URLSearchParams(defaultFilters), { replace: true })
+  }, [defaultFilters, paramsKey, setSearchParams])
+
+  // The index is rebuilt only when the recipes change; the query is debounced
+  // so fast typing searches once
+  const searchIndex = useMemo(() => createSearchIndex(allowedRecipes), [allowedRecipes])
+  const query = useDebouncedValue(filters.q, 200)
+  const filteredRecipes = useMemo(() => {
+    const current = parseFilters(new URLSearchParams(paramsKey))
+    return applyFilters(allowedRecipes, { ...current, q: query }, searchIndex)
+  }, [paramsKey, query, allowedRecipes, searchIndex])
+  // Recipe id -> { terms, fields } for highlighting matches in the table
+  const searchMatches = useMemo(() => (
+    query ? new Map(searchIndex.search(query).map(match => [match.recipe.id, match])) : null
+  ), [query, searchIndex])
+
+  // Filter changes replace the current history entry so typing doesn't flood back/forward
+  const handleFiltersChange = (next) => {
+    setSearchParams(filtersToParams(next), { replace: true })
+  }
+
+  const calculateStats = () => {
+    if (filteredRecipes.length === 0) return { avgTime: 0, avgHealth: 0, avgCalories: null, avgProtein: null, totalRecipes: 0 }
+    
+    const avgTime = Math.round(
+      filteredRecipes.reduce((sum, r) => sum + r.readyInMinutes, 0) / filteredRecipes.length
+    )
+    
+    const avgHealth = Math.round(
+      filteredRecipes.reduce((sum, r) => sum + (r.healthScore || 0), 0) / filteredRecipes.length
+    )
+    
+    // Only recipes that report nutrition count towards the nutrition averages
+    const withNutrition = filteredRecipes.filter(r => r.calories !== null)
+    const average = (field) => withNutrition.length
+      ? Math.round(withNutrition.reduce((sum, r) => sum + (r[field] || 0), 0) / withNutrition.length)
+      : null
+
+    return {
+      avgTime,
+      avgHealth,
+      avgCalories: average('calories'),
+      avgProtein: average('protein'),
+      nutritionCount: withNutrition.length,
+      totalRecipes: filteredRecipes.length
+    }
+  }
+
+  const prepareTimeDistribution = () => {
+    const ranges = [
+      { name: '0-30 min', min: 0, max: 30, count: 0 },
+      { name: '31-60 min', min: 31, max: 60, count: 0 },
+      { name: '61-90 min', min: 61, max: 90, count: 0 },
+      { name: '90+ min', min: 91, max: 999, count: 0 }
+    ]
+    
+    filteredRecipes.forEach(recipe => {
+      const time = recipe.readyInMinutes
+      const range = ranges.find(r => time >= r.min && time <= r.max)
+      if (range) range.count++
+    })
+    
+    return ranges.map(({ name, count }) => ({ name, count }))
+  }
+
+  const prepareDietDistribution = () => {
+    const data = [
+      { name: 'Vegetarian', value: filteredRecipes.filter(r => r.vegetarian).length, color: '#22c55e' },
+      { name: 'Vegan', value: filteredRecipes.filter(r => r.vegan).length, color: '#a855f7' },
+      { name: 'Gluten Free', value: filteredRecipes.filter(r => r.glutenFree).length, color: '#3b82f6' },
+      { name: 'Other', value: filteredRecipes.filter(r => !r.vegetarian && !r.vegan && !r.glutenFree).length, color: '#ef4444' }
+    ]
+    return data.filter(d => d.value > 0)
+  }
+
+  const stats = calculateStats()
+  const timeData = prepareTimeDistribution()
+  const dietData = prepareDietDistribution()
+  const ratingData = ratingDistribution(cookingLog)
+  const hasRatings = ratingData.some(d => d.count > 0)
+
+  // Exports follow the table's current sort order
+  const exportCsv = () => {
+    const rows = sortRecipes(filteredRecipes, tableLayoutStore.getState().sort)
+    downloadFile('recipes.csv', recipesToCsv(rows), 'text/csv')
+  }
+
+  const exportJson = () => {
+    const json = dashboardToJson({
+      query: paramsKey,
+      stats,
+      charts: {
+        timeDistribution: timeData,
+        dietDistribution: dietData.map(({ name, value }) => ({ name, value }))
+      },
+      recipes: sortRecipes(filteredRecipes, tableLayoutStore.getState().sort)
+    })
+    downloadFile('recipe-dashboard.json', json, 'application/json')
+  }
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-content">
+          <div className="loading-icon">👨‍🍳</div>
+          <p className="loading-text">{status.retrying || 'Loading delicious recipes...'}</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">Recipe Dashboard</h1>
+          <p className="page-subtitle">Discover and explore delicious recipes from around the world</p>
+          {status.error && (
+            <ErrorNotice error={status.error} dataMode={status.dataMode} onRetry={status.retry} retrying={status.retrying} />
+          )}
+          {profileActive && (
+            <div className="success-banner">
+              🥗 Your dietary profile is applied
+              {recipes.length > allowedRecipes.length && ` (${recipes.length - allowedRecipes.length} loaded recipes hidden)`}.{' '}
+              <Link to="/profile">Edit profile</Link>
+            </div>
+          )}
+        </div>
+
+        {/* Summary Statistics */}
+        <div className="stats-grid">
+          <div className="stat-card stat-card-orange">
+            <div className="stat-card-content">
+              <div>
+                <p className="stat-label">Total Recipes</p>
+                <p className="stat-value">{stats.totalRecipes}</p>
+                <p className="stat-hint">
+                  {pagination.loaded} loaded of {pagination.totalResults} available{ownCount}
+                </p>
+              </div>
+              <span className="stat-icon stat-icon-orange">📊</span>
+            </div>
+          </div>
+          
+          <div className="stat-card stat-card-blue">
+            <div className="stat-card-content">
+              <div>
+                <p className="stat-label">Avg Cooking Time</p>
+                <p className="stat-value">{stats.avgTime} min</p>
+              </div>
+              <span className="stat-icon stat-icon-blue">⏱️</span>
+            </div>
+          </div>
+          
+          <div className="stat-card stat-card-green">
+            <div className="stat-card-content">
+              <div>
+                <p className="stat-label">Avg Health Score</p>
+                <p className="stat-value">{stats.avgHealth}/100</p>
+              </div>
+              <span className="stat-icon stat-icon-green">💚</span>
+            </div>
+          </div>
+
+          <div className="stat-card stat-card-purple">
+            <div className="stat-card-content">
+              <div>
+                <p className="stat-label">Avg Calories</p>
+                <p className="stat-value">{stats.avgCalories === null ? '—' : `${stats.avgCalories} kcal`}</p>
+                {stats.avgCalories !== null && (
+                  <p className="stat-hint">{stats.avgProtein} g protein · {stats.nutritionCount} with nutrition data</p>
+                )}
+              </div>
+              <span className="stat-icon stat-icon-purple">🔥</span>
+            </div>
+          </div>
+        </div>
+
+        {/* Data Visualizations - TWO UNIQUE CHARTS */}
+        <div className="charts-grid">
+          <div className="chart-card">
+            <h3 className="chart-title">
+              <span>📊</span> Cooking Time Distribution
+            </h3>
+            <ChartDownload filename="cooking-time-distribution" />
+            <p className="chart-description">
+              Breakdown of recipes by preparation time range.
+            </p>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={timeData} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="name" stroke="#374151" />
+                <YAxis stroke="#374151" />
+                <Tooltip 
+                  cursor={{ fill: 'rgba(253, 230, 138, 0.5)' }} 
+                  contentStyle={{ backgroundColor: 'white', border: '1px solid #ccc', borderRadius: '8px' }}
+                />
+                <Legend iconType="circle" wrapperStyle={{ paddingTop: '10px' }} />
+                <Bar dataKey="count" fill="#f97316" name="Number of Recipes" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="chart-card">
+            <h3 className="chart-title">
+              <span>🥗</span> Diet Type Distribution
+            </h3>
+            <ChartDownload filename="diet-type-distribution" />
+            <p className="chart-description">
+              Percentage breakdown of recipes by key dietary tags.
+            </p>
+            <ResponsiveContainer width="100%" height={300}>
+              <PieChart margin={{ top: 0, right: 0, left: 0, bottom: 0 }}>
+                <Pie
+                  data={dietData}
+                  cx="50%"
+                  cy="50%"
+                  labelLine={false}
+                  label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
+                  outerRadius={100}
+                  fill="#8884d8"
+                  dataKey="value"
+                  animationDuration={500}
+                >
+                  {dietData.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={entry.color} stroke="#fff" strokeWidth={2} />
+                  ))}
+                </Pie>
+                <Tooltip 
+                  formatter={(value) => [`${value} recipes`, 'Count']}
+                  contentStyle={{ backgroundColor: 'white', border: '1px solid #ccc', borderRadius: '8px' }}
+                />
+                <Legend iconType="circle" wrapperStyle={{ paddingTop: '10px' }} />
+              </PieChart>
+            </ResponsiveContainer>
+          </div>
+
+          {hasRatings && (
+            <div className="chart-card">
+              <h3 className="chart-title">
+                <span>⭐</span> Your Ratings
+              </h3>
+              <ChartDownload filename="your-ratings" />
+              <p className="chart-description">
+                Recipes you cooked, by their average rating in your <Link to="/history">cooking history</Link>.
+              </p>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={ratingData} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis dataKey="name" stroke="#374151" />
+                  <YAxis stroke="#374151" allowDecimals={false} />
+                  <Tooltip
+                    formatter={(value) => [`${value} recipes`, 'Rated']}
+                    cursor={{ fill: 'rgba(253, 230, 138, 0.5)' }}
+                    contentStyle={{ backgroundColor: 'white', border: '1px solid #ccc', borderRadius: '8px' }}
+                  />
+                  <Bar dataKey="count" fill="#eab308" name="Recipes" radius={[4, 4, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </div>
+
+        <RecommendedRecipes recipes={allowedRecipes} />
+
+        {/* Search and Filter Controls */}
+        <FilterPanel filters={filters} onChange={handleFiltersChange} />
+
+        {/* Recipe List */}
+        <div className="table-container">
+          <RecipeTable recipes={filteredRecipes} searchMatches={searchMatches} />
+          <div className="table-footer">
+            <span className="table-footer-text">
+              Showing {filteredRecipes.length} of {recipes.length} recipes ({pagination.loaded} of {pagination.totalResults} loaded{ownCount})
+            </span>
+            <div className="table-export">
+              <button onClick={exportCsv} disabled={filteredRecipes.length === 0} className="secondary-button">⬇️ CSV</button>
+              <button onClick={exportJson} disabled={filteredRecipes.length === 0} className="secondary-button">⬇️ JSON</button>
+            </div>
+            {pagination.hasMore && (
+              <button
+                ref={loadMoreRef}
+                onClick={handleLoadMore}
+                disabled={pagination.loadingMore}
+                className="load-more-button"
+              >
+                {pagination.loadingMore ? 'Loading more recipes...' : 'Load more'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <CompareTray />
+    </div>
+  )
+}
+
+export default Dashboard
@@ -0,0 +1,124 @@
+import { useState } from 'react'
+import { useDietaryProfile } from '../hooks/useDietaryProfile'
+import { DIETS, INTOLERANCES } from '../data/recipeSearch'
+import { updateProfile, addDislike, removeDislike, MEAL_CALORIE_SHARE } from '../data/dietaryProfile'
+
+const toggle = (list, value) => list.includes(value) ? list.filter(v => v !== value) : [...list, value]
+
+// Dietary Profile Page - diets, intolerances, dislikes and a calorie target
+function DietaryProfile() {
+  const profile = useDietaryProfile()
+  const [dislike, setDislike] = useState('')
+
+  const handleAddDislike = (e) => {
+    e.preventDefault()
+    addDislike(dislike)
+    setDislike('')
+  }
+
+  const handleCalorieTarget = (value) => {
+    const target = parseInt(value, 10)
+    updateProfile({ calorieTarget: Number.isFinite(target) && target > 0 ? target : null })
+  }
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">Dietary Profile</h1>
+          <p className="page-subtitle">Saved in this browser and applied to the recipes you see</p>
+        </div>
+
+        <div className="filter-section profile-section">
+          <label className="checkbox-chip profile-active">
+            <input
+              type="checkbox"
+              checked={profile.active}
+              onChange={() => updateProfile({ active: !profile.active })}
+            />
+            Apply my profile to dashboard results and recipe searches
+          </label>
+        </div>
+
+        <div className="filter-section profile-section">
+          <h2 className="chart-title"><span>🥗</span> Diets</h2>
+          <p className="chart-description">Recipes must match every diet you pick.</p>
+          <div className="browse-intolerances">
+            {DIETS.map(diet => (
+              <label key={diet} className="checkbox-chip">
+                <input
+                  type="checkbox"
+                  checked={profile.diets.includes(diet)}
+                  onChange={() => updateProfile({ diets: toggle(profile.diets, diet) })}
+                />
+                {diet}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="filter-section profile-section">
+          <h2 className="chart-title"><span>⚠️</span> Allergies & Intolerances</h2>
+          <p className="chart-description">Recipes containing these are hidden and flagged on the recipe page.</p>
+          <div className="browse-intolerances">
+            {INTOLERANCES.map(intolerance => (
+              <label key={intolerance} className="checkbox-chip">
+                <input
+                  type="checkbox"
+                  checked={profile.intolerances.includes(intolerance)}
+                  onChange={() => updateProfile({ intolerances: toggle(profile.intolerances, intolerance) })}
+                />
+                {intolerance}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="filter-section profile-section">
+          <h2 className="chart-title"><span>🙅</span> Disliked Ingredients</h2>
+          <form onSubmit={handleAddDislike} className="collections-create">
+            <input
+              type="text"
+              placeholder='e.g. "cilantro"'
+              value={dislike}
+              onChange={(e) => setDislike(e.target.value)}
+              className="search-input collections-name-input"
+            />
+            <button type="submit" className="primary-button" disabled={!dislike.trim()}>Add</button>
+          </form>
+          {profile.dislikes.length > 0 && (
+            <div className="filter-preset-chips profile-dislikes">
+              {profile.dislikes.map(name => (
+                <span key={name} className="shopping-recipe-chip">
+                  {name}
+                  <button type="button" onClick={() => removeDislike(name)} title="Remove">✕</button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="filter-section profile-section">
+          <h2 className="chart-title"><span>🔥</span> Daily Calorie Target</h2>
+          <p className="chart-description">
+            Recipes where one serving is more than {Math.round(MEAL_CALORIE_SHARE * 100)}% of your target get a warning.
+          </p>
+          <div className="profile-calories">
+            <input
+              type="number"
+              min="0"
+              step="50"
+              placeholder="e.g. 2000"
+              value={profile.calorieTarget ?? ''}
+              onChange={(e) => handleCalorieTarget(e.target.value)}
+              className="search-input"
+            />
+            <span className="table-footer-text">kcal per day</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DietaryProfile
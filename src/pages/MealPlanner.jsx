@@ -0,0 +1,167 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useMealPlan } from '../hooks/useMealPlan'
+import { useCollections } from '../hooks/useCollections'
+import { DAYS, MEAL_SLOTS, slotKey, addToPlan, removeFromPlan, moveInPlan, clearPlan, recipesForDay, plannedRecipes, dayTotals } from '../data/mealPlan'
+
+const DRAG_TYPE = 'application/x-recipe-plan'
+
+const formatCost = (cents) => `$${(cents / 100).toFixed(2)}`
+
+// Meal Planner Page - 7-day calendar with drag-and-drop meal slots
+function MealPlanner({ recipes }) {
+  const plan = useMealPlan()
+  const { recipes: savedRecipes, favorites } = useCollections()
+  const [pickerQuery, setPickerQuery] = useState('')
+  const [dropTarget, setDropTarget] = useState(null)
+
+  // Favorites first, then everything loaded on the dashboard
+  const available = [...favorites.map(id => savedRecipes[id]).filter(Boolean), ...recipes]
+    .filter((recipe, index, list) => list.findIndex(r => r.id === recipe.id) === index)
+  const pickerRecipes = available
+    .filter(r => r.title.toLowerCase().includes(pickerQuery.toLowerCase()))
+    .slice(0, 50)
+  const byId = Object.fromEntries(available.map(r => [r.id, r]))
+
+  const startDrag = (e, recipeId, fromKey = null) => {
+    e.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ recipeId, fromKey }))
+    e.dataTransfer.effectAllowed = fromKey ? 'move' : 'copy'
+  }
+
+  const handleDrop = (e, day, slot) => {
+    e.preventDefault()
+    setDropTarget(null)
+    const raw = e.dataTransfer.getData(DRAG_TYPE)
+    if (!raw) return
+
+    const { recipeId, fromKey } = JSON.parse(raw)
+    if (fromKey) {
+      moveInPlan(fromKey, slotKey(day, slot), recipeId)
+    } else if (byId[recipeId]) {
+      addToPlan(day, slot, byId[recipeId])
+    }
+  }
+
+  const weekTotals = dayTotals(plannedRecipes(plan))
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper planner-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">Meal Planner</h1>
+          <p className="page-subtitle">
+            Drag recipes into the week, or use “Add to meal plan” on any recipe page
+          </p>
+        </div>
+
+        <div className="stats-grid">
+          <div className="stat-card stat-card-orange">
+            <p className="stat-label">Planned Meals</p>
+            <p className="stat-value">{weekTotals.count}</p>
+          </div>
+          <div className="stat-card stat-card-blue">
+            <p className="stat-label">Cooking Time This Week</p>
+            <p className="stat-value">{Math.round(weekTotals.minutes / 6) / 10} h</p>
+          </div>
+          <div className="stat-card stat-card-green">
+            <p className="stat-label">Estimated Cost</p>
+            <p className="stat-value">{formatCost(weekTotals.cost)}</p>
+          </div>
+        </div>
+
+        <div className="planner-layout">
+          <aside className="planner-picker">
+            <h3 className="chart-title"><span>📋</span> Recipes</h3>
+            <input
+              type="text"
+              placeholder="Filter recipes..."
+              value={pickerQuery}
+              onChange={(e) => setPickerQuery(e.target.value)}
+              className="search-input planner-picker-search"
+            />
+            <ul className="planner-picker-list">
+              {pickerRecipes.map(recipe => (
+                <li
+                  key={recipe.id}
+                  draggable
+                  onDragStart={(e) => startDrag(e, recipe.id)}
+                  className="planner-picker-item"
+                >
+                  {favorites.includes(recipe.id) && <span>⭐</span>}
+                  <span>{recipe.title}</span>
+                </li>
+              ))}
+            </ul>
+          </aside>
+
+          <div className="planner-scroll">
+            <div className="planner-grid">
+              <div className="planner-corner" />
+              {DAYS.map(day => <div key={day} className="planner-day-header">{day}</div>)}
+
+              {MEAL_SLOTS.map(slot => (
+                <div key={slot.key} className="planner-row">
+                  <div className="planner-slot-label">{slot.icon} {slot.label}</div>
+                  {DAYS.map(day => {
+                    const key = slotKey(day, slot.key)
+                    const slotRecipes = (plan.slots[key] || []).map(id => plan.recipes[id]).filter(Boolean)
+                    return (
+                      <div
+                        key={key}
+                        className={dropTarget === key ? 'planner-slot planner-slot-over' : 'planner-slot'}
+                        onDragOver={(e) => { e.preventDefault(); setDropTarget(key) }}
+                        onDragLeave={() => setDropTarget(current => current === key ? null : current)}
+                        onDrop={(e) => handleDrop(e, day, slot.key)}
+                      >
+                        {slotRecipes.map(recipe => (
+                          <div
+                            key={recipe.id}
+                            draggable
+                            onDragStart={(e) => startDrag(e, recipe.id, key)}
+                            className="planner-meal"
+                          >
+                            <Link to={`/recipe/${recipe.id}`} state={{ recipe }} className="planner-meal-title">
+                              {recipe.title}
+                            </Link>
+                            <button onClick={() => removeFromPlan(key, recipe.id)} className="planner-meal-remove" title="Remove">
+                              ✕
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )
+                  })}
+                </div>
+              ))}
+
+              <div className="planner-slot-label">Day totals</div>
+              {DAYS.map(day => {
+                const totals = dayTotals(recipesForDay(plan, day))
+                return (
+                  <div key={day} className="planner-totals">
+                    <span>⏱️ {totals.minutes} min</span>
+                    <span>💰 {formatCost(totals.cost)}</span>
+                    <span>💚 {totals.count > 0 ? totals.health : '–'}</span>
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        </div>
+
+        {weekTotals.count > 0 && (
+          <div className="planner-footer">
+            <button
+              onClick={() => window.confirm('Clear the whole meal plan?') && clearPlan()}
+              className="secondary-button"
+            >
+              Clear plan
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MealPlanner
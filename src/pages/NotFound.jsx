@@ -0,0 +1,19 @@
+import { Link, useLocation } from 'react-router-dom'
+
+// Not Found Page - shown for any path without a route
+function NotFound() {
+  const { pathname } = useLocation()
+
+  return (
+    <div className="not-found-container">
+      <div className="not-found-content">
+        <div className="not-found-icon">🧭</div>
+        <p className="not-found-text">Page not found</p>
+        <p className="not-found-detail">There is nothing at <code>{pathname}</code>.</p>
+        <Link to="/" className="not-found-button">Back to Dashboard</Link>
+      </div>
+    </div>
+  )
+}
+
+export default NotFound
@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react'
+import RecipeCard from '../components/RecipeCard'
+import { usePantry } from '../hooks/usePantry'
+import { addPantryItems, removePantryItem, clearPantry, rankByPantry } from '../data/pantry'
+
+const MAX_MATCHES = 24
+
+// Pantry Page - ingredients on hand and the recipes they can make
+function Pantry({ source, recipes }) {
+  const { items } = usePantry()
+  const [newItems, setNewItems] = useState('')
+  const [matches, setMatches] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [notice, setNotice] = useState(null)
+  const itemsKey = items.join(',')
+
+  useEffect(() => {
+    const pantryItems = itemsKey ? itemsKey.split(',') : []
+    let cancelled = false
+
+    // Recipes already loaded in the app, for sources that cannot search by ingredient
+    const matchLoaded = (reason) => {
+      setMatches(rankByPantry(recipes, pantryItems).slice(0, MAX_MATCHES))
+      setNotice(`${reason} Matching against the ${recipes.length} recipes loaded in the app.`)
+    }
+
+    const findMatches = async () => {
+      if (pantryItems.length === 0) {
+        setMatches([])
+        setNotice(null)
+        return
+      }
+
+      if (!source.findByIngredients) {
+        matchLoaded(`${source.label} cannot search by ingredient.`)
+        return
+      }
+
+      try {
+        setLoading(true)
+        const found = await source.findByIngredients(pantryItems, { number: MAX_MATCHES })
+        if (cancelled) return
+        setMatches(found)
+        setNotice(null)
+      } catch (err) {
+        console.error('API Error:', err)
+        if (!cancelled) matchLoaded(`Ingredient search failed (${err.message}).`)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    findMatches()
+    return () => { cancelled = true }
+  }, [source, recipes, itemsKey])
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    addPantryItems(newItems)
+    setNewItems('')
+  }
+
+  const handleClear = () => {
+    if (window.confirm('Remove everything from your pantry?')) clearPantry()
+  }
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">Pantry</h1>
+          <p className="page-subtitle">Keep track of what you have and find recipes that use it</p>
+        </div>
+
+        <div className="filter-section">
+          <form onSubmit={handleAdd} className="collections-create">
+            <input
+              type="text"
+              placeholder="Add ingredients, separated by commas (e.g. eggs, spinach, feta)"
+              value={newItems}
+              onChange={(e) => setNewItems(e.target.value)}
+              className="search-input collections-name-input"
+            />
+            <button type="submit" className="primary-button" disabled={!newItems.trim()}>Add</button>
+          </form>
+
+          {items.length > 0 ? (
+            <div className="pantry-items">
+              <div className="filter-preset-chips">
+                {items.map(item => (
+                  <span key={item} className="shopping-recipe-chip">
+                    {item}
+                    <button type="button" onClick={() => removePantryItem(item)} title="Remove">✕</button>
+                  </span>
+                ))}
+              </div>
+              <button type="button" onClick={handleClear} className="secondary-button">Clear pantry</button>
+            </div>
+          ) : (
+            <p className="chart-description pantry-empty">Your pantry is empty. Add a few ingredients to get suggestions.</p>
+          )}
+        </div>
+
+        {items.length > 0 && (
+          <section className="drilldown-section">
+            <div className="drilldown-header">
+              <h2 className="chart-title"><span>🍳</span> What Can I Cook?</h2>
+              <span className="table-footer-text">{loading ? 'Searching...' : `${matches.length} recipes`}</span>
+            </div>
+            {notice && <div className="warning-banner">{notice}</div>}
+            {!loading && matches.length === 0 ? (
+              <p className="chart-description">No recipes use these ingredients yet. Try adding a few more.</p>
+            ) : (
+              <div className="recipe-card-grid">
+                {matches.map(({ recipe, used, missing }) => (
+                  <div key={recipe.id} className="pantry-match">
+                    <RecipeCard recipe={recipe} />
+                    <div className="pantry-match-info">
+                      <div className="health-bar-bg">
+                        <div
+                          className="health-bar-fill"
+                          style={{ width: `${(used.length / Math.max(1, used.length + missing.length)) * 100}%`, backgroundColor: '#22c55e' }}
+                        />
+                      </div>
+                      <p className="pantry-match-used">✓ Uses {used.length}: {used.join(', ')}</p>
+                      {missing.length > 0 ? (
+                        <p className="pantry-match-missing">✗ Missing {missing.length}: {missing.join(', ')}</p>
+                      ) : (
+                        <p className="pantry-match-used">You have everything you need!</p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Pantry
@@ -0,0 +1,365 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom'
+import { useRecipeDetails } from '../hooks/useRecipeDetails'
+import FavoriteButton from '../components/FavoriteButton'
+import CollectionPicker from '../components/CollectionPicker'
+import PlanPicker from '../components/PlanPicker'
+import ShoppingListButton from '../components/ShoppingListButton'
+import ServingsControl from '../components/ServingsControl'
+import UnitToggle from '../components/UnitToggle'
+import NutritionCharts from '../components/NutritionCharts'
+import ProfileWarnings from '../components/ProfileWarnings'
+import RecipeCard from '../components/RecipeCard'
+import CookingLogSection from '../components/CookingLogSection'
+import RecipeImage from '../components/RecipeImage'
+import { usePreferences } from '../hooks/usePreferences'
+import { useSimilarRecipes } from '../hooks/useSimilarRecipes'
+import { recordView } from '../data/similarity'
+import { isCustomRecipe } from '../data/customRecipes'
+import { ingredientQuantity } from '../data/units'
+import { findNutrient } from '../data/nutrition'
+
+const HIGHLIGHT_NUTRIENTS = ['Calories', 'Protein', 'Fat', 'Carbohydrates']
+
+// Recipe Detail Component - Uses useParams() hook!
+function RecipeDetail({ source, recipes }) {
+  const { id } = useParams() // Extract the ID from URL
+  const navigate = useNavigate()
+  const location = useLocation()
+  // Recipes opened from Browse results are handed over in the link state
+  const listed = recipes.find(r => r.id === id) || (location.state?.recipe?.id === id ? location.state.recipe : null)
+  const { recipe, loading, error } = useRecipeDetails(source, id, listed)
+  const { units } = usePreferences()
+  const [scaled, setScaled] = useState({ id: null, servings: null })
+  const { similar, loading: similarLoading, local: similarLocal } = useSimilarRecipes(source, recipe, recipes)
+
+  // Viewed recipes feed the Dashboard recommendations; wait for the details so
+  // the snapshot includes ingredients
+  const viewedRecipe = recipe && !loading ? recipe : null
+  useEffect(() => {
+    if (viewedRecipe) recordView(viewedRecipe)
+  }, [viewedRecipe])
+
+  if (!recipe && loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-content">
+          <div className="loading-icon">👨‍🍳</div>
+          <p className="loading-text">Loading recipe...</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (!recipe) {
+    return (
+      <div className="not-found-container">
+        <div className="not-found-content">
+          <div className="not-found-icon">❌</div>
+          <p className="not-found-text">Recipe not found</p>
+          {error && <p className="not-found-detail">{error}</p>}
+          <button
+            onClick={() => navigate('/')}
+            className="not-found-button"
+          >
+            Back to Dashboard
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  // Servings chosen by the user, reset whenever another recipe is shown
+  const servings = scaled.id === recipe.id ? scaled.servings : recipe.servings
+  const scale = recipe.servings > 0 ? servings / recipe.servings : 1
+  const totalCost = (recipe.pricePerServing * servings) / 100
+  const highlights = HIGHLIGHT_NUTRIENTS.map(name => findNutrient(recipe.nutrition, name)).filter(Boolean)
+
+  return (
+    <div className="detail-container">
+      <div className="detail-wrapper">
+        <button
+          onClick={() => navigate('/')}
+          className="back-button no-print"
+        >
+          <span>←</span> Back to Dashboard
+        </button>
+
+        <div className="detail-card">
+          <RecipeImage
+            src={recipe.image}
+            alt={recipe.title}
+            className="detail-image"
+          />
+          <div className="detail-content">
+            <h1 className="detail-title">{recipe.title}</h1>
+
+            <ProfileWarnings recipe={recipe} />
+
+            <div className="detail-actions no-print">
+              {recipe.steps.length > 0 && (
+                <Link to={`/recipe/${recipe.id}/cook`} state={{ recipe }} className="primary-button">
+                  👨‍🍳 Start Cooking
+                </Link>
+              )}
+              <FavoriteButton recipe={recipe} showLabel />
+              <CollectionPicker recipe={recipe} />
+              <PlanPicker recipe={recipe} />
+              <ShoppingListButton recipe={recipe} />
+              <button onClick={() => window.print()} className="secondary-button">🖨️ Print</button>
+              {isCustomRecipe(recipe) && (
+                <Link to={`/recipes/${recipe.id}/edit`} className="secondary-button">✏️ Edit</Link>
+              )}
+            </div>
+            
+            <div className="detail-tags">
+              {recipe.vegetarian && (
+                <span className="detail-tag detail-tag-vegetarian">
+                  🌱 Vegetarian
+                </span>
+              )}
+              {recipe.vegan && (
+                <span className="detail-tag detail-tag-vegan">
+                  🥬 Vegan
+                </span>
+              )}
+              {recipe.glutenFree && (
+                <span className="detail-tag detail-tag-gluten-free">
+                  🌾 Gluten Free
+                </span>
+              )}
+            </div>
+
+            <div className="detail-stats-grid">
+              <div className="detail-stat-box detail-stat-box-orange">
+                <div className="detail-stat-icon">⏱️</div>
+                <div className="detail-stat-value detail-stat-value-orange">{recipe.readyInMinutes}</div>
+                <div className="detail-stat-label">Minutes</div>
+              </div>
+              
+              <div className="detail-stat-box detail-stat-box-blue">
+                <div className="detail-stat-icon">👥</div>
+                <div className="detail-stat-value detail-stat-value-blue">{servings}</div>
+                <div className="detail-stat-label">Servings</div>
+              </div>
+              
+              <div className="detail-stat-box detail-stat-box-green">
+                <div className="detail-stat-icon">💚</div>
+                <div className="detail-stat-value detail-stat-value-green">{recipe.healthScore || 0}</div>
+                <div className="detail-stat-label">Health Score</div>
+              </div>
+              
+              <div className="detail-stat-box detail-stat-box-purple">
+                <div className="detail-stat-icon">💰</div>
+                <div className="detail-stat-value detail-stat-value-purple">${(recipe.pricePerServing / 100).toFixed(2)}</div>
+                <div className="detail-stat-label">Per Serving</div>
+              </div>
+
+              <div className="detail-stat-box detail-stat-box-purple">
+                <div className="detail-stat-icon">🧾</div>
+                <div className="detail-stat-value detail-stat-value-purple">${totalCost.toFixed(2)}</div>
+                <div className="detail-stat-label">Total for {servings}</div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="detail-info-grid">
+          <div className="detail-info-card">
+            <h2 className="detail-info-title">
+              <span>📊</span> Nutritional Highlights
+            </h2>
+            <div className="detail-info-list">
+              <div className="detail-info-item">
+                <span className="detail-info-label">Health Score</span>
+                <span className="detail-info-value detail-info-value-green">{recipe.healthScore || 0}/100</span>
+              </div>
+              {highlights.map(nutrient => (
+                <div key={nutrient.name} className="detail-info-item">
+                  <span className="detail-info-label">{nutrient.name}</span>
+                  <span className="detail-info-value">
+                    {Math.round(nutrient.amount)} {nutrient.unit}
+                    {nutrient.percentOfDailyNeeds !== null && (
+                      <span className="nutrient-dv"> {Math.round(nutrient.percentOfDailyNeeds)}% DV</span>
+                    )}
+                  </span>
+                </div>
+              ))}
+              <div className="detail-info-item">
+                <span className="detail-info-label">Very Healthy</span>
+                <span className={recipe.veryHealthy ? 'detail-info-value detail-info-value-green' : 'detail-info-value detail-info-value-red'}>
+                  {recipe.veryHealthy ? '✓ Yes' : '✗ No'}
+                </span>
+              </div>
+              <div className="detail-info-item">
+                <span className="detail-info-label">Very Popular</span>
+                <span className={recipe.veryPopular ? 'detail-info-value detail-info-value-green' : 'detail-info-value detail-info-value-red'}>
+                  {recipe.veryPopular ? '✓ Yes' : '✗ No'}
+                </span>
+              </div>
+            </div>
+          </div>
+
+          <div className="detail-info-card">
+            <h2 className="detail-info-title">
+              <span>ℹ️</span> Recipe Properties
+            </h2>
+            <div className="detail-info-list">
+              <div className="detail-info-item">
+                <span className="detail-info-label">Cheap to Make</span>
+                <span className={recipe.cheap ? 'detail-info-value detail-info-value-green' : 'detail-info-value detail-info-value-red'}>
+                  {recipe.cheap ? '✓ Yes' : '✗ No'}
+                </span>
+              </div>
+              <div className="detail-info-item">
+                <span className="detail-info-label">Dairy Free</span>
+                <span className={recipe.dairyFree ? 'detail-info-value detail-info-value-green' : 'detail-info-value detail-info-value-red'}>
+                  {recipe.dairyFree ? '✓ Yes' : '✗ No'}
+                </span>
+              </div>
+              <div className="detail-info-item">
+                <span className="detail-info-label">Sustainable</span>
+                <span className={recipe.sustainable ? 'detail-info-value detail-info-value-green' : 'detail-info-value detail-info-value-red'}>
+                  {recipe.sustainable ? '✓ Yes' : '✗ No'}
+                </span>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {recipe.nutrition ? (
+          <NutritionCharts nutrition={recipe.nutrition} />
+        ) : !loading && (
+          <div className="detail-info-card detail-section no-print">
+            <p className="detail-placeholder">Nutrition data is not available for this recipe.</p>
+          </div>
+        )}
+
+        {loading && (
+          <div className="detail-info-card detail-section">
+            <p className="detail-placeholder">Loading ingredients and instructions...</p>
+          </div>
+        )}
+
+        {!loading && recipe.ingredients.length === 0 && recipe.steps.length === 0 && (
+          <div className="detail-info-card detail-section">
+            <p className="detail-placeholder">
+              Ingredients and instructions are not available for this recipe{error ? ` (${error})` : ''}.
+            </p>
+          </div>
+        )}
+
+        {(recipe.ingredients.length > 0 || recipe.equipment.length > 0) && (
+          <div className="detail-info-grid">
+            {recipe.ingredients.length > 0 && (
+              <div className="detail-info-card">
+                <h2 className="detail-info-title">
+                  <span>🥕</span> Ingredients
+                </h2>
+                <div className="ingredient-controls no-print">
+                  <ServingsControl value={servings} onChange={(next) => setScaled({ id: recipe.id, servings: next })} />
+                  <UnitToggle />
+                </div>
+                <ul className="ingredient-list">
+                  {recipe.ingredients.map((ingredient, index) => {
+                    const quantity = ingredientQuantity(ingredient, scale, units)
+                    return (
+                      <li key={`${ingredient.id}-${index}`} className="ingredient-item">
+                        {quantity ? (
+                          <>
+                            <span className="ingredient-quantity">{quantity}</span> {ingredient.name}
+                          </>
+                        ) : ingredient.original || ingredient.name}
+                      </li>
+                    )
+                  })}
+                </ul>
+              </div>
+            )}
+
+            {recipe.equipment.length > 0 && (
+              <div className="detail-info-card">
+                <h2 className="detail-info-title">
+                  <span>🍳</span> Equipment
+                </h2>
+                <div className="detail-tags">
+                  {recipe.equipment.map(item => (
+                    <span key={item} className="equipment-tag">{item}</span>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {recipe.steps.length > 0 && (
+          <div className="detail-info-card detail-section">
+            <h2 className="detail-info-title">
+              <span>📝</span> Instructions
+            </h2>
+            <ol className="step-list">
+              {recipe.steps.map(step => (
+                <li key={step.number} className="step-item">
+                  <span className="step-number">{step.number}</span>
+                  <div>
+                    <p className="step-text">{step.text}</p>
+                    {step.equipment.length > 0 && (
+                      <p className="step-meta">Uses: {step.equipment.join(', ')}</p>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
+        <div className="summary-box">
+          <h3 className="summary-title">
+            <span>💡</span> Recipe Summary
+          </h3>
+          <p className="summary-text">
+            This delightful recipe is ready in just <strong>{recipe.readyInMinutes} minutes</strong> and is portioned to serve <strong>{servings} people</strong>. 
+            {recipe.cheap && ' It\'s incredibly budget-friendly, making it a perfect choice for meal planning!'}
+            {recipe.veryHealthy && ' Additionally, it boasts a high nutritional score, confirming it as a very healthy option!'}
+          </p>
+        </div>
+
+        {/* Cooking mode's finish screen links here with the form open */}
+        <CookingLogSection key={recipe.id} recipe={recipe} startOpen={Boolean(location.state?.markCooked)} />
+
+        {(similarLoading || similar.length > 0) && (
+          <div className="detail-info-card detail-section no-print">
+            <h2 className="detail-info-title">
+              <span>🔗</span> Similar Recipes
+            </h2>
+            {similarLoading ? (
+              <p className="detail-placeholder">Finding similar recipes...</p>
+            ) : (
+              <>
+                {similarLocal && (
+                  <p className="chart-description">Closest matches among the loaded recipes by ingredients, diet, time and price.</p>
+                )}
+                <div className="recipe-card-grid">
+                  {similar.map(item => <RecipeCard key={item.id} recipe={item} />)}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {(recipe.sourceName || recipe.sourceUrl) && (
+          <p className="source-attribution">
+            Recipe from{' '}
+            {recipe.sourceUrl ? (
+              <a href={recipe.sourceUrl} target="_blank" rel="noopener noreferrer">
+                {recipe.sourceName || recipe.sourceUrl}
+              </a>
+            ) : recipe.sourceName}
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RecipeDetail
@@ -0,0 +1,219 @@
+import { useState } from 'react'
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom'
+import RecipeImage from '../components/RecipeImage'
+import { useCustomRecipes } from '../hooks/useCustomRecipes'
+import {
+  EMPTY_RECIPE_FORM, validateRecipeForm, formToRecipe, recipeToForm, saveCustomRecipe
+} from '../data/customRecipes'
+import { isStoredImage, deleteImage, saveImage } from '../data/imageStore'
+import { resizeImageFile } from '../utils/image'
+
+const DIET_FIELDS = [
+  { key: 'vegetarian', label: '🌱 Vegetarian' },
+  { key: 'vegan', label: '🥬 Vegan' },
+  { key: 'glutenFree', label: '🌾 Gluten Free' },
+  { key: 'dairyFree', label: '🥛 Dairy Free' }
+]
+
+// Field wrapper with label and validation message
+function Field({ label, error, wide, children }) {
+  return (
+    <label className={wide ? 'editor-field editor-field-wide' : 'editor-field'}>
+      <span className="range-slider-label">{label}</span>
+      {children}
+      {error && <span className="editor-error">{error}</span>}
+    </label>
+  )
+}
+
+// Recipe Editor Page - create or edit a custom recipe (/recipes/new, /recipes/:id/edit)
+function RecipeEditor() {
+  const location = useLocation()
+  // Both routes render this element, so the form is keyed by navigation to
+  // start over for every recipe (or import) opened in it
+  return <RecipeForm key={location.key} />
+}
+
+// Recipe Form Component - the editor's form state for one recipe
+function RecipeForm() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const { recipes } = useCustomRecipes()
+  const existing = id ? recipes.find(r => r.id === id) : null
+  // Imported recipes arrive prefilled in the link state
+  const [form, setForm] = useState(() => (
+    existing ? recipeToForm(existing) : location.state?.form || EMPTY_RECIPE_FORM
+  ))
+  const [errors, setErrors] = useState({})
+  const [imageError, setImageError] = useState(null)
+  const [saveError, setSaveError] = useState(null)
+
+  if (id && !existing) {
+    return (
+      <div className="not-found-container">
+        <div className="not-found-content">
+          <div className="not-found-icon">❌</div>
+          <p className="not-found-text">Custom recipe not found</p>
+          <Link to="/custom" className="not-found-button">Back to My Own Recipes</Link>
+        </div>
+      </div>
+    )
+  }
+
+  const update = (patch) => setForm(prev => ({ ...prev, ...patch }))
+  const bind = (field) => ({
+    value: form[field],
+    onChange: (e) => update({ [field]: e.target.value })
+  })
+
+  // Uploads replaced or abandoned before saving aren't kept in the image store
+  const discardUpload = (image) => {
+    if (image !== existing?.image) deleteImage(image)
+  }
+
+  const handleImage = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      setImageError(null)
+      const image = await saveImage(await resizeImageFile(file))
+      discardUpload(form.image)
+      update({ image })
+    } catch (err) {
+      setImageError(err.message)
+    }
+  }
+
+  const handleCancel = () => {
+    discardUpload(form.image)
+    navigate(-1)
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const found = validateRecipeForm(form)
+    setErrors(found)
+    if (Object.keys(found).length > 0) return
+
+    const recipe = formToRecipe(form)
+    try {
+      saveCustomRecipe(recipe)
+    } catch (err) {
+      setSaveError(err.message)
+      return
+    }
+    navigate(`/recipe/${recipe.id}`)
+  }
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">{existing ? 'Edit Recipe' : 'New Recipe'}</h1>
+          <p className="page-subtitle">Saved in this browser and listed with the other recipes</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="filter-section recipe-editor" noValidate>
+          <Field label="Title" error={errors.title} wide>
+            <input type="text" {...bind('title')} className="search-input" placeholder="Grandma's lasagna" />
+          </Field>
+
+          <div className="editor-field editor-field-wide">
+            <span className="range-slider-label">Image</span>
+            <div className="editor-image-row">
+              {form.image && <RecipeImage src={form.image} alt="" className="editor-image-preview" />}
+              <div className="editor-image-inputs">
+                <input type="file" accept="image/*" onChange={handleImage} />
+                <input
+                  type="url"
+                  value={isStoredImage(form.image) ? '' : form.image}
+                  onChange={(e) => {
+                    discardUpload(form.image)
+                    update({ image: e.target.value })
+                  }}
+                  className="search-input"
+                  placeholder="...or paste an image URL"
+                />
+                {form.image && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      discardUpload(form.image)
+                      update({ image: '' })
+                    }}
+                    className="secondary-button"
+                  >
+                    Remove image
+                  </button>
+                )}
+              </div>
+            </div>
+            {imageError && <span className="editor-error">{imageError}</span>}
+          </div>
+
+          <Field label="Summary" wide>
+            <textarea {...bind('summary')} rows={2} className="search-input editor-textarea" />
+          </Field>
+
+          <Field label="Ready in (minutes)" error={errors.readyInMinutes}>
+            <input type="number" min="0" {...bind('readyInMinutes')} className="search-input" />
+          </Field>
+          <Field label="Servings" error={errors.servings}>
+            <input type="number" min="1" {...bind('servings')} className="search-input" />
+          </Field>
+          <Field label="Price per serving ($)" error={errors.price}>
+            <input type="number" min="0" step="0.01" {...bind('price')} className="search-input" />
+          </Field>
+          <Field label="Cuisines (comma separated)">
+            <input type="text" {...bind('cuisines')} className="search-input" placeholder="Italian, Mediterranean" />
+          </Field>
+          <Field label="Dish types (comma separated)">
+            <input type="text" {...bind('dishTypes')} className="search-input" placeholder="main course, dinner" />
+          </Field>
+          <Field label="Calories per serving (kcal)" error={errors.calories}>
+            <input type="number" min="0" {...bind('calories')} className="search-input" />
+          </Field>
+          <Field label="Protein per serving (g)" error={errors.protein}>
+            <input type="number" min="0" {...bind('protein')} className="search-input" />
+          </Field>
+
+          <div className="editor-field editor-field-wide">
+            <span className="range-slider-label">Diet</span>
+            <div className="filter-toggles">
+              {DIET_FIELDS.map(({ key, label }) => (
+                <label key={key} className="checkbox-chip">
+                  <input type="checkbox" checked={form[key]} onChange={(e) => update({ [key]: e.target.checked })} />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <Field label="Ingredients (one per line, e.g. “2 cups flour”)" error={errors.ingredients} wide>
+            <textarea {...bind('ingredients')} rows={8} className="search-input editor-textarea" />
+          </Field>
+          <Field label="Steps (one per line)" wide>
+            <textarea {...bind('steps')} rows={8} className="search-input editor-textarea" />
+          </Field>
+
+          <Field label="Source name">
+            <input type="text" {...bind('sourceName')} className="search-input" />
+          </Field>
+          <Field label="Source URL">
+            <input type="url" {...bind('sourceUrl')} className="search-input" />
+          </Field>
+
+          {saveError && <div className="warning-banner editor-field-wide">{saveError}</div>}
+          <div className="editor-actions">
+            <button type="submit" className="primary-button">{existing ? 'Save Changes' : 'Create Recipe'}</button>
+            <button type="button" onClick={handleCancel} className="secondary-button">Cancel</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default RecipeEditor
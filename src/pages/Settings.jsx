@@ -0,0 +1,233 @@
+import { useState } from 'react'
+import UnitToggle from '../components/UnitToggle'
+import { usePreferences } from '../hooks/usePreferences'
+import { useApiStatus } from '../hooks/useApiStatus'
+import { useStore } from '../hooks/useStore'
+import { setPreference, resetPreferences, PAGE_SIZES, THEMES } from '../data/preferences'
+import { SOURCE_TYPES, validateSpoonacularKey, getSourceConfigFromEnv } from '../data/recipeSources'
+import { filterPresetsStore } from '../data/dashboardFilters'
+import { clearCache } from '../data/requestCache'
+import { ERROR_KINDS } from '../data/errors'
+
+const envConfig = getSourceConfigFromEnv()
+
+const isAbsoluteHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+// Settings Page - API key, data source, results count, dashboard defaults and display
+function Settings() {
+  const preferences = usePreferences()
+  const { cachedResponses } = useApiStatus()
+  const { presets } = useStore(filterPresetsStore)
+  const [draftKey, setDraftKey] = useState(preferences.apiKey)
+  const [draftUrl, setDraftUrl] = useState(preferences.sourceUrl)
+  const [urlError, setUrlError] = useState(null)
+  const [showKey, setShowKey] = useState(false)
+  const [validation, setValidation] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  const envSourceLabel = SOURCE_TYPES.find(t => t.value === envConfig.type)?.label || envConfig.type
+  const activeType = preferences.sourceType || envConfig.type
+  const usesUrl = activeType === 'local' || activeType === 'http'
+
+  const handleValidate = async () => {
+    setValidation({ type: 'pending', text: 'Checking key...' })
+    try {
+      const { quotaLeft } = await validateSpoonacularKey(draftKey.trim())
+      setValidation({ type: 'success', text: `✓ The key works${quotaLeft !== null ? ` (${quotaLeft} quota points left today)` : ''}.` })
+    } catch (err) {
+      setValidation({ type: 'error', text: `${ERROR_KINDS[err.kind]?.title || 'Validation failed'}: ${err.message}` })
+    }
+  }
+
+  const handleSaveKey = (e) => {
+    e.preventDefault()
+    setPreference('apiKey', draftKey.trim())
+    setMessage({ type: 'success', text: draftKey.trim() ? 'API key saved. Recipes are reloading with it.' : 'API key removed; the build-time key is used again.' })
+  }
+
+  // The local fixture may be a path on this site; the endpoint must be absolute
+  const handleSaveUrl = (e) => {
+    e.preventDefault()
+    if (activeType === 'http' && draftUrl.trim() && !isAbsoluteHttpUrl(draftUrl.trim())) {
+      setUrlError('Enter a full http:// or https:// URL for the custom endpoint.')
+      return
+    }
+    setUrlError(null)
+    setPreference('sourceUrl', draftUrl.trim())
+    setMessage({ type: 'success', text: draftUrl.trim() ? 'Source URL saved. Recipes are reloading from it.' : 'Source URL removed; the build-time URL is used again.' })
+  }
+
+  const handleClearCache = () => {
+    clearCache()
+    setMessage({ type: 'success', text: 'Cached API responses cleared.' })
+  }
+
+  const handleReset = () => {
+    if (!window.confirm('Reset all settings to their defaults?')) return
+    resetPreferences()
+    setDraftKey('')
+    setDraftUrl('')
+    setValidation(null)
+    setMessage({ type: 'success', text: 'Settings reset to defaults.' })
+  }
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header">
+          <h1 className="page-title">Settings</h1>
+          <p className="page-subtitle">Saved in this browser and applied right away</p>
+          {message && (
+            <div className={message.type === 'error' ? 'warning-banner' : 'success-banner'}>
+              {message.text}
+            </div>
+          )}
+        </div>
+
+        <div className="filter-section settings-section">
+          <h2 className="chart-title"><span>🔌</span> Data Source</h2>
+          <label className="settings-field">
+            <span className="range-slider-label">Recipe source</span>
+            <select
+              value={preferences.sourceType}
+              onChange={(e) => setPreference('sourceType', e.target.value)}
+              className="filter-select"
+            >
+              <option value="">Default from .env ({envSourceLabel})</option>
+              {SOURCE_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </label>
+          {usesUrl && (
+            <form onSubmit={handleSaveUrl} className="settings-field" noValidate>
+              <span className="range-slider-label">{activeType === 'http' ? 'Endpoint URL' : 'Fixture URL'}</span>
+              <div className="settings-key-row">
+                <input
+                  type="text"
+                  value={draftUrl}
+                  onChange={(e) => { setDraftUrl(e.target.value); setUrlError(null) }}
+                  placeholder={envConfig.url || (activeType === 'local' ? '/recipes.json' : 'https://example.com/api/recipes')}
+                  className="search-input settings-input"
+                  spellCheck="false"
+                />
+                <button type="submit" disabled={draftUrl.trim() === preferences.sourceUrl} className="primary-button">
+                  Save
+                </button>
+              </div>
+              {urlError && <p className="settings-validation settings-validation-error">{urlError}</p>}
+              {!urlError && activeType === 'http' && !draftUrl.trim() && !preferences.sourceUrl && !envConfig.url && (
+                <p className="settings-validation settings-validation-error">The custom endpoint needs a URL.</p>
+              )}
+              <p className="chart-description">
+                A saved URL takes precedence over VITE_APP_RECIPE_SOURCE_URL.
+              </p>
+            </form>
+          )}
+
+          <form onSubmit={handleSaveKey} className="settings-field">
+            <span className="range-slider-label">Spoonacular API key</span>
+            <div className="settings-key-row">
+              <input
+                type={showKey ? 'text' : 'password'}
+                value={draftKey}
+                onChange={(e) => { setDraftKey(e.target.value); setValidation(null) }}
+                placeholder={envConfig.apiKey ? 'Using the key from .env' : 'Paste your API key'}
+                className="search-input settings-input"
+                autoComplete="off"
+                spellCheck="false"
+              />
+              <button type="button" onClick={() => setShowKey(!showKey)} className="secondary-button">
+                {showKey ? 'Hide' : 'Show'}
+              </button>
+              <button type="button" onClick={handleValidate} disabled={!draftKey.trim() || validation?.type === 'pending'} className="secondary-button">
+                Validate
+              </button>
+              <button type="submit" disabled={draftKey.trim() === preferences.apiKey} className="primary-button">
+                Save
+              </button>
+            </div>
+            {validation && (
+              <p className={`settings-validation settings-validation-${validation.type}`}>{validation.text}</p>
+            )}
+            <p className="chart-description">
+              Stored only in this browser. A saved key takes precedence over VITE_APP_API_KEY.
+            </p>
+          </form>
+        </div>
+
+        <div className="filter-section settings-section">
+          <h2 className="chart-title"><span>📋</span> Dashboard</h2>
+          <label className="settings-field">
+            <span className="range-slider-label">Recipes per page</span>
+            <select
+              value={preferences.pageSize}
+              onChange={(e) => setPreference('pageSize', Number(e.target.value))}
+              className="filter-select"
+            >
+              {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+            </select>
+          </label>
+          <label className="settings-field">
+            <span className="range-slider-label">Default filters</span>
+            <select
+              value={preferences.defaultFilters}
+              onChange={(e) => setPreference('defaultFilters', e.target.value)}
+              className="filter-select"
+            >
+              <option value="">No filters</option>
+              {presets.map(preset => (
+                <option key={preset.id} value={preset.query}>{preset.name}</option>
+              ))}
+            </select>
+          </label>
+          <p className="chart-description">
+            Applied when the dashboard opens without filters in its URL. Save a preset on the dashboard to use it here.
+          </p>
+        </div>
+
+        <div className="filter-section settings-section">
+          <h2 className="chart-title"><span>🎨</span> Display</h2>
+          <div className="settings-field">
+            <span className="range-slider-label">Units</span>
+            <UnitToggle />
+          </div>
+          <div className="settings-field">
+            <span className="range-slider-label">Theme</span>
+            <div className="segmented-control" role="group" aria-label="Theme">
+              {THEMES.map(theme => (
+                <button
+                  key={theme.value}
+                  type="button"
+                  onClick={() => setPreference('theme', theme.value)}
+                  className={preferences.theme === theme.value ? 'segmented-option segmented-option-active' : 'segmented-option'}
+                  aria-pressed={preferences.theme === theme.value}
+                >
+                  {theme.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="filter-section settings-section">
+          <h2 className="chart-title"><span>🧹</span> Stored Data</h2>
+          <div className="settings-actions">
+            <button onClick={handleClearCache} disabled={cachedResponses === 0} className="secondary-button">
+              Clear cached responses ({cachedResponses})
+            </button>
+            <button onClick={handleReset} className="secondary-button">Reset settings</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Settings
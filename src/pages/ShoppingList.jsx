@@ -0,0 +1,164 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link } from 'react-router-dom'
+import UnitToggle from '../components/UnitToggle'
+import { useShoppingList } from '../hooks/useShoppingList'
+import { useMealPlan } from '../hooks/useMealPlan'
+import { useCollections } from '../hooks/useCollections'
+import { usePreferences } from '../hooks/usePreferences'
+import { plannedRecipes } from '../data/mealPlan'
+import {
+  addRecipesToList, removeRecipeFromList, updateListRecipe, toggleItem, clearList,
+  buildShoppingList, groupByAisle, shoppingListToText, shoppingListToCsv
+} from '../data/shoppingList'
+import { downloadFile } from '../utils/download'
+
+// Shopping List Page - merged ingredients of the chosen recipes, grouped by aisle
+function ShoppingList({ source }) {
+  const list = useShoppingList()
+  const plan = useMealPlan()
+  const { recipes: savedRecipes, favorites } = useCollections()
+  const { units } = usePreferences()
+  const [hideChecked, setHideChecked] = useState(false)
+  const [fetching, setFetching] = useState([])
+  // Ids whose details the source could not provide, per source
+  const [failed, setFailed] = useState({ source: null, ids: [] })
+  const attempted = useRef({ source: null, ids: new Set() })
+
+  const listRecipes = list.recipeIds.map(id => list.recipes[id]).filter(Boolean)
+  const missingIds = listRecipes.filter(r => r.ingredients.length === 0).map(r => r.id)
+  const missingKey = missingIds.join(',')
+  const failedIds = failed.source === source ? failed.ids : []
+
+  // Search results usually come without ingredients; fetch full details once
+  // per source, so switching sources tries the failed ones again
+  useEffect(() => {
+    if (attempted.current.source !== source) attempted.current = { source, ids: new Set() }
+    const ids = missingKey ? missingKey.split(',').filter(id => !attempted.current.ids.has(id)) : []
+    if (ids.length === 0) return
+
+    ids.forEach(id => attempted.current.ids.add(id))
+    setFetching(prev => [...prev, ...ids])
+
+    const markFailed = (id) => setFailed(prev => ({ source, ids: [...(prev.source === source ? prev.ids : []), id] }))
+
+    ids.forEach(async (id) => {
+      try {
+        const recipe = await source.getRecipe(id)
+        if (recipe) updateListRecipe(recipe)
+        if (!recipe || recipe.ingredients.length === 0) markFailed(id)
+      } catch (err) {
+        console.error('API Error:', err)
+        markFailed(id)
+      } finally {
+        setFetching(prev => prev.filter(f => f !== id))
+      }
+    })
+  }, [source, missingKey])
+
+  const items = buildShoppingList(listRecipes, units)
+  const groups = groupByAisle(hideChecked ? items.filter(item => !list.checked[item.key]) : items)
+  const checkedCount = items.filter(item => list.checked[item.key]).length
+  const withoutIngredients = listRecipes.filter(r => r.ingredients.length === 0 && failedIds.includes(r.id))
+  // Missing ingredients that are being fetched, or about to be
+  const pending = missingIds.length > withoutIngredients.length
+
+  const planned = plannedRecipes(plan)
+  const favoriteRecipes = favorites.map(id => savedRecipes[id]).filter(Boolean)
+
+  return (
+    <div className="main-content">
+      <div className="content-wrapper">
+        <div className="page-header no-print">
+          <h1 className="page-title">Shopping List</h1>
+          <p className="page-subtitle">Everything you need for your chosen recipes, merged and sorted by aisle</p>
+        </div>
+
+        <div className="filter-section no-print">
+          <div className="shopping-sources">
+            <button onClick={() => addRecipesToList(planned)} disabled={planned.length === 0} className="secondary-button">
+              📅 Add meal plan ({planned.length})
+            </button>
+            <button onClick={() => addRecipesToList(favoriteRecipes)} disabled={favoriteRecipes.length === 0} className="secondary-button">
+              ⭐ Add favorites ({favoriteRecipes.length})
+            </button>
+            <button
+              onClick={() => window.confirm('Clear the shopping list?') && clearList()}
+              disabled={listRecipes.length === 0}
+              className="secondary-button"
+            >
+              Clear list
+            </button>
+          </div>
+
+          {listRecipes.length > 0 && (
+            <div className="shopping-recipes">
+              {listRecipes.map(recipe => (
+                <span key={recipe.id} className="shopping-recipe-chip">
+                  <Link to={`/recipe/${recipe.id}`} state={{ recipe }}>{recipe.title}</Link>
+                  {fetching.includes(recipe.id) && ' ⏳'}
+                  <button onClick={() => removeRecipeFromList(recipe.id)} title="Remove recipe">✕</button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {withoutIngredients.length > 0 && (
+            <div className="warning-banner">
+              <strong>Missing ingredients:</strong> {withoutIngredients.map(r => r.title).join(', ')} could not be loaded.
+            </div>
+          )}
+        </div>
+
+        {items.length === 0 ? (
+          <div className="table-container empty-state">
+            {listRecipes.length === 0
+              ? 'Your shopping list is empty. Add recipes from a recipe page, your meal plan or your favorites.'
+              : pending ? 'Loading ingredients...' : 'No ingredients could be loaded for these recipes.'}
+          </div>
+        ) : (
+          <div className="shopping-list">
+            <div className="shopping-toolbar no-print">
+              <span className="table-footer-text">{checkedCount} of {items.length} items checked</span>
+              <UnitToggle />
+              <label className="checkbox-chip">
+                <input type="checkbox" checked={hideChecked} onChange={(e) => setHideChecked(e.target.checked)} />
+                Hide checked
+              </label>
+              <div className="collections-actions">
+                <button onClick={() => downloadFile('shopping-list.txt', shoppingListToText(items, list.checked))} className="secondary-button">
+                  📄 Text
+                </button>
+                <button onClick={() => downloadFile('shopping-list.csv', shoppingListToCsv(items, list.checked), 'text/csv')} className="secondary-button">
+                  📊 CSV
+                </button>
+                <button onClick={() => window.print()} className="secondary-button">🖨️ Print</button>
+              </div>
+            </div>
+
+            <h2 className="print-only print-title">Shopping List</h2>
+
+            {Object.entries(groups).map(([aisle, aisleItems]) => (
+              <div key={aisle} className="shopping-aisle">
+                <h3 className="shopping-aisle-title">{aisle}</h3>
+                <ul className="shopping-items">
+                  {aisleItems.map(item => (
+                    <li key={item.key} className={list.checked[item.key] ? 'shopping-item shopping-item-checked' : 'shopping-item'}>
+                      <label>
+                        <input type="checkbox" checked={Boolean(list.checked[item.key])} onChange={() => toggleItem(item.key)} />
+                        <span className="shopping-item-quantity">{item.quantity}</span>
+                        <span className="shopping-item-name">{item.name}</span>
+                      </label>
+                      <span className="shopping-item-recipes">{item.recipes.join(', ')}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ShoppingList
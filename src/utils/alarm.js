@@ -0,0 +1,37 @@
+// Short repeated beep for finished timers, made with the Web Audio API so no
+// sound file is needed. Browsers only allow audio after a user gesture, which
+// starting a timer always is.
+
+let audioContext = null
+
+export function playAlarm({ beeps = 3, frequency = 880 } = {}) {
+  const AudioContext = window.AudioContext || window.webkitAudioContext
+  if (!AudioContext) return
+
+  audioContext = audioContext || new AudioContext()
+  const start = audioContext.currentTime
+
+  for (let i = 0; i < beeps; i++) {
+    const oscillator = audioContext.createOscillator()
+    const gain = audioContext.createGain()
+    const at = start + i * 0.5
+    oscillator.type = 'sine'
+    oscillator.frequency.value = frequency
+    gain.gain.setValueAtTime(0.001, at)
+    gain.gain.exponentialRampToValueAtTime(0.4, at + 0.02)
+    gain.gain.exponentialRampToValueAtTime(0.001, at + 0.35)
+    oscillator.connect(gain).connect(audioContext.destination)
+    oscillator.start(at)
+    oscillator.stop(at + 0.4)
+  }
+
+  navigator.vibrate?.([300, 200, 300])
+}
+
+// Unlocks audio on browsers that need it started inside a user gesture
+export function primeAlarm() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext
+  if (!AudioContext) return
+  audioContext = audioContext || new AudioContext()
+  if (audioContext.state === 'suspended') audioContext.resume()
+}
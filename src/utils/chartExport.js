@@ -0,0 +1,49 @@
+import { downloadFile } from './download'
+
+// Recharts draws each chart into one <svg> inside .recharts-wrapper; legends
+// and tooltips are HTML and are not part of the export.
+const chartSvg = (container) => container.querySelector('.recharts-wrapper > svg')
+
+// Standalone SVG markup for the chart inside `container`, on a white background
+export function chartSvgMarkup(container) {
+  const svg = chartSvg(container)
+  if (!svg) return null
+
+  const { width, height } = svg.getBoundingClientRect()
+  const clone = svg.cloneNode(true)
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg')
+  clone.setAttribute('width', Math.round(width))
+  clone.setAttribute('height', Math.round(height))
+  clone.setAttribute('style', `font-family: ${getComputedStyle(svg).fontFamily}; background: white`)
+
+  const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect')
+  background.setAttribute('width', '100%')
+  background.setAttribute('height', '100%')
+  background.setAttribute('fill', 'white')
+  clone.insertBefore(background, clone.firstChild)
+
+  return { markup: new XMLSerializer().serializeToString(clone), width, height }
+}
+
+export function downloadChartSvg(container, filename) {
+  const chart = chartSvgMarkup(container)
+  if (chart) downloadFile(`${filename}.svg`, chart.markup, 'image/svg+xml')
+}
+
+// Rasterizes the SVG through a canvas; `scale` 2 keeps text sharp on HiDPI screens
+export function downloadChartPng(container, filename, scale = 2) {
+  const chart = chartSvgMarkup(container)
+  if (!chart) return
+
+  const image = new Image()
+  image.onload = () => {
+    const canvas = document.createElement('canvas')
+    canvas.width = chart.width * scale
+    canvas.height = chart.height * scale
+    const context = canvas.getContext('2d')
+    context.scale(scale, scale)
+    context.drawImage(image, 0, 0, chart.width, chart.height)
+    canvas.toBlob(blob => blob && downloadFile(`${filename}.png`, blob))
+  }
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(chart.markup)}`
+}
@@ -0,0 +1,6 @@
+// RFC 4180 style CSV: every cell quoted, quotes doubled
+export const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`
+
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\n')
+}
@@ -0,0 +1,26 @@
+// Firefox and Safari cancel a download whose object URL is revoked right
+// after the click, so it is kept around a little longer
+const REVOKE_DELAY = 60000
+
+// Save text content as a file through a temporary object URL
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY)
+}
+
+// Read a user-selected File as text
+export function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsText(file)
+  })
+}
@@ -0,0 +1,25 @@
+// Uploaded images are scaled down and re-encoded as a JPEG Blob before they
+// are stored (see data/imageStore)
+export function resizeImageFile(file, { maxSize = 800, quality = 0.82 } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file)
+    const image = new Image()
+
+    image.onload = () => {
+      const scale = Math.min(1, maxSize / Math.max(image.width, image.height))
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.round(image.width * scale)
+      canvas.height = Math.round(image.height * scale)
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height)
+      URL.revokeObjectURL(url)
+      canvas.toBlob(blob => (
+        blob ? resolve(blob) : reject(new Error('That image could not be converted.'))
+      ), 'image/jpeg', quality)
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('That file could not be read as an image.'))
+    }
+    image.src = url
+  })
+}
@@ -0,0 +1,16 @@
+export const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Runs `task`, retrying failures `shouldRetry` accepts with exponential
+// backoff (baseDelay, 2x, 4x, ...). `onRetry` hears about each wait.
+export async function withRetry(task, { retries = 2, baseDelay = 1000, shouldRetry = (err) => err.retryable !== false, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task()
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err
+      const delay = baseDelay * 2 ** attempt
+      onRetry?.({ attempt: attempt + 1, retries, delay, error: err })
+      await wait(delay)
+    }
+  }
+}